@@ -0,0 +1,22 @@
+/**
+ *  adminAuth
+ *
+ *  Express middleware guarding the admin routes of Certify and MultiSite.
+ *  options.adminAuth supplies custom middleware; otherwise requests must carry
+ *  options.adminToken as a bearer token. Returns undefined when neither is
+ *  set, in which case the admin routes are not mounted at all.
+ *
+ */
+import crypto from 'crypto';
+
+export function adminAuth(options = {}) {
+    if (options.adminAuth) return options.adminAuth;
+    if (!options.adminToken) return undefined;
+    const expected = crypto.createHash('sha256').update(String(options.adminToken)).digest();
+    return (req, res, next) => {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        const given = crypto.createHash('sha256').update(token || '').digest();
+        if (scheme === 'Bearer' && crypto.timingSafeEqual(given, expected)) return next();
+        res.set('WWW-Authenticate', 'Bearer').status(401).json({error: 'unauthorized'});
+    };
+}
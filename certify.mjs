@@ -1,11 +1,25 @@
 import express from 'express';
 import Acme from 'acme-client';
 import tls from 'tls';
+import crypto from 'crypto';
+import axios from 'axios';
 import { Config } from 'epistery';
 import moment from 'moment';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileDnsProvider, NsupdateDnsProvider } from './dnsprovider.mjs';
+import { LocalCA } from './localca.mjs';
+import { adminAuth } from './adminauth.mjs';
 
-const MAX_AGE = 75; // days
 const MAX_WAIT_TIME = 60; // seconds
+const RENEW_BEFORE = 1/3; // fraction of certificate lifetime remaining when renewal is due
+const ARI_RETRY = 6; // hours before renewal info is fetched again when the CA gives no Retry-After
+const RENEW_INTERVAL = 60; // minutes between renewal scans
+const RENEW_SPREAD = 30; // seconds, upper bound of the random pause between renewals in one scan
+const BACKOFF_MIN = 5; // minutes before retrying a failed renewal
+const BACKOFF_MAX = 24; // hours, cap on the retry delay
+const WATCH_INTERVAL = 10; // seconds between checks of cached certificate files for changes
 
 export class Certify {
     constructor(app,options) {
@@ -13,8 +27,28 @@ export class Certify {
         this.options = options || {};
         this.pending = {};
         this.challenges = {};
+        this.dnsProviders = {};
+        this.coverage = undefined; // hostname or *.wildcard => name of the certificate covering it
+        this.secureContexts = {}; // certificate name => {context, files}, dropped when the files change
+        this.renewalInfo = {}; // ARI certificate id => {start, end, renewAt, fetched, retryAfter}
+        this.clients = {}; // CA name => Acme.Client
+        this.directories = {}; // CA name => ACME directory
         this.contactEmail = undefined;
     }
+    static DnsProviders = {
+        file: FileDnsProvider,
+        nsupdate: NsupdateDnsProvider
+    };
+    // Well known certificate authorities. Add others, e.g. a local Pebble or step-ca, with options.cas.
+    static CAs = {
+        'letsencrypt': {directoryUrl: Acme.directory.letsencrypt.production},
+        'letsencrypt-staging': {directoryUrl: Acme.directory.letsencrypt.staging},
+        'zerossl': {directoryUrl: Acme.directory.zerossl.production},
+        'google': {directoryUrl: Acme.directory.google.production},
+        'google-staging': {directoryUrl: Acme.directory.google.staging},
+        'buypass': {directoryUrl: Acme.directory.buypass.production},
+        'buypass-staging': {directoryUrl: Acme.directory.buypass.staging}
+    };
     static async attach(app,options) {
         const instance = new Certify(app,options);
         instance.config = new Config();
@@ -25,25 +59,23 @@ export class Certify {
 
         instance.contactEmail = instance.options.contactEmail || instance.config.data.ssl?.email || instance.config.data.profile?.email;
 
-        instance.acme = new Acme.Client({
-            directoryUrl: Acme.directory.letsencrypt[process.env.PROFILE==='DEV'?'staging':'production'],
-            accountKey: await Acme.crypto.createPrivateKey(),
-        });
         if (process.env.PROFILE==='DEV'){
           Acme.setLogger((message) => {
             console.log(message);
           });
         }
         app.use('/',instance.routes());
+        const auth = adminAuth(instance.options);
+        if (auth) app.use('/_certify',auth,instance.adminRoutes());
+        if (instance.options.metrics) instance.collectMetrics(instance.options.metrics);
+        if (instance.options.scheduler !== false) instance.startScheduler();
         return instance;
     }
     get SNI() {
         return {SNICallback: async (hostname, cb) => {
             try {
-              if (this.pending[hostname]) return(cb('pending'));
-              console.log(`SNL get keys for ${hostname}`)
-              const siteKeys = await this.getSiteKeys(hostname);
-              cb(null, tls.createSecureContext(siteKeys));
+              // A falsy context makes tls fall back to the server's default certificate
+              cb(null, await this.getSecureContext(hostname));
             } catch (error) {
               console.error(`Error loading certificate for ${hostname}:`, error);
               cb(error);
@@ -76,75 +108,322 @@ export class Certify {
         // });
         return router;
     }
-    async getSiteKeys(sitename) {
-      // For localhost and local domains, don't try to get Let's Encrypt certificates
-      if (sitename === 'localhost' || sitename.includes('.local') || sitename.match(/^\d+\.\d+\.\d+\.\d+$/)) {
-        return null; // Use default certificate
-      }
+    // Status and control of certificates, mounted at /_certify behind adminAuth
+    adminRoutes() {
+        const router = express.Router();
 
-      // Load domain-specific config to check SSL section
+        router.get('/domains', async (req, res) => {
+            try {
+                const domains = [];
+                for (const domain of this.knownDomains()) {
+                    this.config.setPath(`/${domain}`);
+                    this.config.load();
+                    if (!this.config.data.ssl || this.resolveCertName(domain) !== domain) continue;
+                    domains.push(await this.getStatus(domain));
+                }
+                res.json(domains);
+            } catch (error) {
+                res.status(500).json({error: error.message});
+            }
+        });
+        router.get('/domains/:name', async (req, res) => {
+            try {
+                const sitename = this.configuredDomain(req.params.name);
+                if (!sitename) return res.status(404).json({error: `no certificate for ${req.params.name}`});
+                res.json(await this.getStatus(sitename));
+            } catch (error) {
+                res.status(500).json({error: error.message});
+            }
+        });
+        router.post('/domains/:name/renew', async (req, res) => {
+            const sitename = this.configuredDomain(req.params.name);
+            if (!sitename) return res.status(404).json({error: `no certificate for ${req.params.name}`});
+            try {
+                if (!(await this.attemptRenewal(sitename, true))) {
+                    return res.status(409).json({error: `renewal for ${sitename} already in progress`});
+                }
+                res.json(await this.getStatus(sitename));
+            } catch (error) {
+                res.status(500).json({error: error.message});
+            }
+        });
+        router.get('/pending', (req, res) => {
+            res.json({pending: this.pending, challenges: this.challenges});
+        });
+        return router;
+    }
+    // Name of the certificate covering hostname if it is a domain folder with an [ssl] section, else
+    // undefined. Admin routes only act on these, so a name from a URL never reaches outside the tree.
+    configuredDomain(hostname) {
+      const sitename = this.resolveCertName(hostname);
+      if (!this.knownDomains().includes(sitename)) return undefined;
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      return this.config.data.ssl ? sitename : undefined;
+    }
+    // Certificate expiry and renewal state as gauges of a Metrics registry, refreshed at each scrape
+    collectMetrics(metrics) {
+      const expiry = metrics.gauge('certify_certificate_expiry_timestamp_seconds', 'When the certificate expires');
+      const renewAt = metrics.gauge('certify_certificate_renew_timestamp_seconds', 'When the certificate is due for renewal');
+      const failures = metrics.gauge('certify_renewal_failures', 'Consecutive failed renewal attempts');
+      metrics.collect(async () => {
+        for (const family of [expiry, renewAt, failures]) family.reset();
+        for (const domain of this.knownDomains()) {
+          this.config.setPath(`/${domain}`);
+          this.config.load();
+          if (!this.config.data.ssl || this.resolveCertName(domain) !== domain) continue;
+          const status = await this.getStatus(domain);
+          if (status.status === 'retired') continue;
+          const labels = {name: domain, ca: status.ca};
+          if (status.notAfter) expiry.set(labels, Math.floor(Date.parse(status.notAfter) / 1000));
+          if (status.renewAt) renewAt.set(labels, Math.floor(Date.parse(status.renewAt) / 1000));
+          failures.set(labels, status.failures);
+        }
+      });
+    }
+    // Certificate details and renewal state for one certificate name
+    async getStatus(sitename) {
+      const info = await this.getCertificateInfo(sitename) || {name: sitename};
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      const sslConfig = this.config.data.ssl || {};
+      const failures = parseInt(sslConfig.failures) || 0;
+      let status = 'valid';
+      if (sslConfig.retired) status = 'retired';
+      else if (this.pending[sitename]) status = 'pending';
+      else if (failures > 0) status = 'failing';
+      else if (!info.notAfter) status = 'missing';
+      else if (moment().isAfter(info.notAfter)) status = 'expired';
+      return {
+        ...info,
+        status,
+        lastAttempt: sslConfig.lastAttempt,
+        failures,
+        nextAttempt: sslConfig.nextAttempt,
+        lastError: sslConfig.lastError,
+        retired: sslConfig.retired
+      };
+    }
+    async getSecureContext(hostname) {
+      const sitename = this.resolveCertName(hostname);
+      if (this.secureContexts[sitename]) return this.secureContexts[sitename].context;
+      console.log(`SNL get keys for ${hostname}`)
+      const siteKeys = await this.getSiteKeys(hostname);
+      if (!siteKeys) return undefined;
+      const context = tls.createSecureContext(siteKeys);
+      this.secureContexts[sitename] = {context, files: this.watchCertificate(sitename)};
+      return context;
+    }
+    // Drop the cached context when the key or certificate is replaced on disk
+    watchCertificate(sitename) {
       this.config.setPath(`/${sitename}`);
       this.config.load();
       const sslConfig = this.config.data.ssl;
-
-      if (!sslConfig?.certified || moment().isAfter(moment(sslConfig.certified).add(MAX_AGE, 'days'))) {
-        if (!this.pending[sitename] || moment().isAfter(moment(this.pending[sitename]).add(MAX_WAIT_TIME, 'seconds'))) {
-          try {
-            this.pending[sitename] = moment();
-            setTimeout(async () => {
-              try {
-                await this.renewCert(sitename);
-              } catch (e) {
-                console.error(`Failed to renew certificate for ${sitename}:`, e);
-                delete this.pending[sitename];
-              }
-            },10);
-          } catch(e) {
-            console.error(e);
-            delete this.pending[sitename];
+      return [sslConfig.key, sslConfig.cert].map(file => {
+        const filePath = path.resolve(this.configRoot(), sitename, file);
+        fs.watchFile(filePath, {persistent: false, interval: WATCH_INTERVAL * 1000}, (current, previous) => {
+          if (current.mtimeMs !== previous.mtimeMs) {
+            console.log(`Certificate files for ${sitename} changed, reloading`);
+            this.invalidate(sitename);
           }
-        }
+        });
+        return filePath;
+      });
+    }
+    invalidate(sitename) {
+      const cached = this.secureContexts[sitename];
+      if (!cached) return;
+      cached.files.forEach(filePath => fs.unwatchFile(filePath));
+      delete this.secureContexts[sitename];
+    }
+    async getSiteKeys(hostname) {
+      // The certificate may be filed under another name, e.g. example.com for www.example.com
+      const sitename = this.resolveCertName(hostname);
+      const siteKeys = this.readSiteKeys(sitename);
+      if (siteKeys) return siteKeys;
+      if (this.config.data.ssl?.retired) throw new Error(`certificate for ${sitename} has been retired`);
+      if (!(await this.mayIssue(sitename))) return null;
+      if (this.useLocalCA(sitename)) {
+        // Local certificates take no time to issue, so the first visitor gets one too
+        await this.attemptRenewal(sitename);
+        return this.readSiteKeys(sitename);
       }
-      if (sslConfig?.key && sslConfig?.cert) {
-        const key = this.config.readFile(sslConfig.key).toString();
-        const cert = this.config.readFile(sslConfig.cert).toString();
-        return {key: key, cert: cert};
-      } else {
+      // Without a contact email an order can only fail, which would just record failures to retry
+      if (!this.contactEmail) {
+        console.error(`Not ordering a certificate for ${sitename}: no contact email set`);
         return null;
       }
+      // First visit: order a certificate in the background. Renewals are left to the scheduler.
+      this.attemptRenewal(sitename).catch(e => console.error(`Unable to order certificate for ${sitename}:`, e));
+      return null;
     }
-    async renewCert(sitename) {
-      // Load domain config to check SSL certification date
+    // Certificates are only ordered for names the operator set up: localhost, a domain with an [ssl]
+    // section in the epistery config, or a hostname options.verifyHost(hostname) approves. Any other
+    // SNI name gets the default certificate and leaves nothing on disk.
+    async mayIssue(sitename) {
+      if (sitename === 'localhost') return true;
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      if (this.config.data.ssl) return true;
+      if (!this.options.verifyHost) return false;
+      try {
+        return !!(await this.options.verifyHost(sitename));
+      } catch (error) {
+        console.error(`verifyHost failed for ${sitename}: ${error.message}`);
+        return false;
+      }
+    }
+    readSiteKeys(sitename) {
       this.config.setPath(`/${sitename}`);
       this.config.load();
       const sslConfig = this.config.data.ssl;
-
-      if (sslConfig?.certified && moment().isBefore(moment(sslConfig.certified).add(MAX_AGE, 'days'))) {
+      if (!sslConfig?.key || !sslConfig?.cert) return null;
+      const key = this.config.readFile(sslConfig.key).toString();
+      const cert = this.config.readFile(sslConfig.cert).toString();
+      return {key: key, cert: cert};
+    }
+    // Hosts a public CA will not certify
+    static IsLocal(hostname) {
+      return hostname === 'localhost' || hostname.endsWith('.local') || LocalCA.IsIP(hostname);
+    }
+    useLocalCA(sitename) {
+      return !!this.options.offline || Certify.IsLocal(sitename);
+    }
+    async doIssueLocalCert(sitename) {
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      let names = Certify.CertNames(sitename, this.config.data.ssl);
+      if (sitename === 'localhost') names = names.concat('127.0.0.1', '::1');
+      if (!this.localCA) this.localCA = new LocalCA(this.config, this.options.localCA);
+      const {key, cert} = await this.localCA.issue(names);
+      this.saveCertificate(sitename, key, cert, names, 'local');
+    }
+    startScheduler() {
+      const interval = (this.options.renewInterval || RENEW_INTERVAL) * 60000;
+      this.schedulerStopped = false;
+      const tick = async () => {
+        try {
+          await this.checkRenewals();
+        } catch (e) {
+          console.error(`Certificate renewal scan failed:`, e);
+        }
+        // stopScheduler() may have been called during the scan
+        if (this.schedulerStopped) return;
+        // Jitter the interval by ±10% so a fleet of servers drifts apart
+        this.schedulerTimer = setTimeout(tick, interval * (0.9 + Math.random() * 0.2));
+        this.schedulerTimer.unref();
+      };
+      this.schedulerTimer = setTimeout(tick, Math.random() * RENEW_SPREAD * 1000);
+      this.schedulerTimer.unref();
+    }
+    stopScheduler() {
+      this.schedulerStopped = true;
+      clearTimeout(this.schedulerTimer);
+      this.schedulerTimer = undefined;
+    }
+    // Renew every certificate in the config tree that is due
+    async checkRenewals() {
+      for (const domain of this.knownDomains()) {
+        if (this.schedulerStopped) return;
+        this.config.setPath(`/${domain}`);
+        this.config.load();
+        if (!this.config.data.ssl || this.config.data.ssl.retired) continue;
+        // Hostnames covered by another domain's certificate are renewed with it
+        if (this.resolveCertName(domain) !== domain) continue;
+        if (!(await this.renewalDue(domain))) continue;
+        if (await this.attemptRenewal(domain)) {
+          await new Promise(resolve => setTimeout(resolve, Math.random() * RENEW_SPREAD * 1000));
+        }
+      }
+    }
+    // Renew sitename unless it is pending or backing off from an earlier failure. Failures are
+    // recorded in the domain's [ssl] section so restarts honor the backoff. Returns true if attempted.
+    // force ignores both the backoff and whether renewal is due.
+    async attemptRenewal(sitename, force) {
+      if (this.pending[sitename]) return false;
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      const state = this.config.data.ssl || {};
+      if (!force && state.nextAttempt && moment().isBefore(state.nextAttempt)) return false;
+      this.pending[sitename] = moment();
+      try {
+        await this.renewCert(sitename, force);
+        this.saveRenewalState(sitename, {failures: 0, nextAttempt: undefined, lastError: undefined});
+      } catch (e) {
+        const failures = (parseInt(state.failures) || 0) + 1;
+        const delay = Math.min(BACKOFF_MIN * 60000 * 2 ** (failures - 1), BACKOFF_MAX * 3600000);
+        const nextAttempt = moment().add(delay * (0.75 + Math.random() * 0.5), 'ms');
+        console.error(`Failed to renew certificate for ${sitename}, retrying ${nextAttempt.fromNow()}:`, e.message);
+        this.saveRenewalState(sitename, {failures, nextAttempt: nextAttempt.toISOString(), lastError: e.message});
+      } finally {
+        delete this.pending[sitename];
+      }
+      return true;
+    }
+    saveRenewalState(sitename, state) {
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      const sslConfig = this.config.data.ssl = this.config.data.ssl || {};
+      Object.assign(sslConfig, state, {lastAttempt: moment().toISOString()});
+      for (const key of Object.keys(state)) if (state[key] === undefined) delete sslConfig[key];
+      this.config.save();
+    }
+    async renewCert(sitename, force) {
+      if (!force && !(await this.renewalDue(sitename))) {
         return;
       } else {
+        if (this.useLocalCA(sitename)) return this.doIssueLocalCert(sitename);
         if (!this.contactEmail) throw new Error(`cannot request certificate without CONTACT_EMAIL set`);
         this.pending[sitename] = moment();
 
-        try {
-          // Add timeout wrapper for the entire certificate renewal process
-          await Promise.race([
-            this.doRenewCert(sitename),
-            new Promise((_, reject) =>
-              setTimeout(() => reject(new Error(`Certificate renewal timeout for ${sitename}`)), 120000) // 2 minute timeout
-            )
-          ]);
-        } catch (error) {
-          console.error(`Certificate renewal failed for ${sitename}:`, error);
-          delete this.pending[sitename];
-          throw error;
+        // Try each CA in turn, falling back to the next when one fails
+        this.config.setPath(`/${sitename}`);
+        this.config.load();
+        let lastError;
+        for (const ca of this.caList(this.config.data.ssl)) {
+          try {
+            // Add timeout wrapper for the entire certificate renewal process
+            await Promise.race([
+              this.doRenewCert(sitename, ca),
+              new Promise((_, reject) =>
+                setTimeout(() => reject(new Error(`Certificate renewal timeout for ${sitename}`)), 120000) // 2 minute timeout
+              )
+            ]);
+            return;
+          } catch (error) {
+            console.error(`Certificate renewal from ${ca} failed for ${sitename}:`, error);
+            lastError = error;
+          }
         }
+        delete this.pending[sitename];
+        throw lastError;
       }
     }
+    // CAs to try for a domain: ssl.ca in the domain config, else options.ca, e.g. "letsencrypt,google"
+    caList(sslConfig) {
+      if (sslConfig?.ca) return Certify.List(sslConfig.ca);
+      if (this.options.ca) return Certify.List(this.options.ca);
+      if (this.options.directoryUrl) return ['custom'];
+      return [process.env.PROFILE==='DEV' ? 'letsencrypt-staging' : 'letsencrypt'];
+    }
+    // CA definition {directoryUrl, eab:{kid, hmacKey}}. options.directoryUrl and options.eab define "custom".
+    getCA(name) {
+      const custom = this.options.directoryUrl ? {directoryUrl: this.options.directoryUrl, eab: this.options.eab} : undefined;
+      const ca = this.options.cas?.[name] || (name === 'custom' ? custom : Certify.CAs[name]);
+      if (!ca) throw new Error(`unknown certificate authority: ${name}`);
+      return ca;
+    }
+
+    async doRenewCert(sitename, ca) {
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      const sslConfig = this.config.data.ssl || {};
+      const names = Certify.CertNames(sitename, sslConfig);
 
-    async doRenewCert(sitename) {
       // Prepare CSR options
       const csrOptions = {
-        altNames: [sitename],
+        commonName: sitename,
+        altNames: names,
       };
 
       // // letsencrypt will not accept an OU it doesn't certify
@@ -165,27 +444,34 @@ export class Certify {
       // create CSR
       const [key, csr] = await Acme.crypto.createCsr(csrOptions);
 
+      // Challenge type comes from the domain's [ssl] section, e.g. challenge=dns-01, dnsProvider=file.
+      // Wildcard names can only be validated over dns.
+      const hasWildcard = names.some(name => name.startsWith('*.'));
+      const challengeType = sslConfig.challenge || (hasWildcard ? 'dns-01' : this.options.challenge || 'http-01');
+      if (hasWildcard && challengeType !== 'dns-01') throw new Error(`wildcard certificate for ${sitename} requires dns-01`);
+      const challengeHandlers = challengeType === 'dns-01'
+        ? this.dnsChallenge(this.getDnsProvider(sslConfig.dnsProvider))
+        : this.httpChallenge();
+
+      const client = await this.ensureAccount(ca);
+
       // order certificate with timeout
-      const cert = await this.acme.auto({
+      const cert = await client.auto({
         csr,
         email: this.contactEmail,
         termsOfServiceAgreed: true,
-        challengePriority: ['http-01'],
-        challengeCreateFn: (authz, challenge, keyAuthorization) => {
-          console.log(`✓ Challenge created - token: ${challenge.token}`);
-          console.log(`  Challenge URL: http://${sitename}/.well-known/acme-challenge/${challenge.token}`);
-          this.challenges[challenge.token] = keyAuthorization;
-        },
-        challengeRemoveFn: (authz, challenge) => {
-          console.log(`✓ Challenge removed - token: ${challenge.token}`);
-          delete this.challenges[challenge.token];
-        },
+        challengePriority: [challengeType],
+        ...challengeHandlers
       });
 
+      this.saveCertificate(sitename, key.toString(), cert, names, ca);
+    }
+    saveCertificate(sitename, key, cert, names, issuedBy) {
       // Set path to domain directory and save certificate files there
       this.config.setPath(`/${sitename}`);
       this.config.writeFile('ssl_cert.pem', cert);
-      this.config.writeFile('ssl_key.pem', key.toString());
+      this.config.writeFile('ssl_key.pem', key);
+      this.invalidate(sitename);
 
       // Load existing config and add/update [ssl] section
       this.config.load();
@@ -193,10 +479,364 @@ export class Certify {
       this.config.data.ssl.key = 'ssl_key.pem';
       this.config.data.ssl.cert = 'ssl_cert.pem';
       this.config.data.ssl.certified = moment().format("YYYY-MM-DD");
+      this.config.data.ssl.issuedBy = issuedBy;
+      delete this.config.data.ssl.retired;
 
       delete this.pending[sitename];
       this.config.save();
 
-      console.log(`Certificate successfully renewed for ${sitename}`);
+      if (this.coverage) names.forEach(name => this.coverage[name] = sitename);
+      console.log(`Certificate successfully renewed for ${sitename} (${names.join(', ')})`);
+    }
+    // Revoke the certificate covering hostname and archive its key material. Another is ordered on the
+    // next visit or scheduler scan. reason is an RFC 5280 reason name or code.
+    async revoke(hostname, reason = 'unspecified') {
+      const sitename = this.resolveCertName(hostname);
+      const code = typeof reason === 'number' ? reason : Certify.RevocationReasons[reason];
+      if (code === undefined) throw new Error(`unknown revocation reason: ${reason}`);
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      const sslConfig = this.config.data.ssl;
+      if (!sslConfig?.cert) throw new Error(`no certificate for ${sitename}`);
+      if (sslConfig.issuedBy !== 'local' && !this.useLocalCA(sitename)) {
+        const client = await this.ensureAccount(sslConfig.issuedBy || this.caList(sslConfig)[0]);
+        await client.revokeCertificate(this.config.readFile(sslConfig.cert), {reason: code});
+      }
+      this.archiveCertificate(sitename, 'revoked');
+      console.log(`Certificate for ${sitename} revoked (${reason})`);
+    }
+    // Retire a domain: revoke its certificate if still valid, archive the files, and stop serving
+    // and renewing it. Ordering a certificate for it again with renewCert brings it back.
+    // Revoke and retire a certificate by its own name. The domain's [ssl] settings are kept so
+    // removing the retired mark brings it back as it was.
+    async forget(hostname) {
+      const sitename = this.resolveCertName(hostname);
+      if (sitename !== hostname.toLowerCase()) {
+        throw new Error(`${hostname} is covered by the certificate for ${sitename}; forget ${sitename} or remove ${hostname} from its names`);
+      }
+      const info = this.readCertificate(sitename);
+      if (info && moment().isBefore(info.notAfter)) await this.revoke(sitename, 'cessationOfOperation');
+      else if (info) this.archiveCertificate(sitename, 'expired');
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      const sslConfig = this.config.data.ssl = this.config.data.ssl || {};
+      for (const key of ['key', 'cert', 'certified', 'issuedBy']) delete sslConfig[key];
+      sslConfig.retired = moment().toISOString();
+      this.config.save();
+      this.invalidate(sitename);
+      for (const name of Object.keys(this.coverage || {})) {
+        if (this.coverage[name] === sitename) delete this.coverage[name];
+      }
+      console.log(`Forgot certificate for ${sitename}`);
+    }
+    // Move the key and certificate into the domain's archive folder and clear them from the config
+    archiveCertificate(sitename, label) {
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      const sslConfig = this.config.data.ssl;
+      this.invalidate(sitename);
+      const archive = path.resolve(this.configRoot(), sitename, 'archive');
+      fs.mkdirSync(archive, {recursive: true});
+      const stamp = moment().format('YYYYMMDDHHmmssSSS');
+      for (const file of [sslConfig.key, sslConfig.cert]) {
+        const filePath = path.resolve(this.configRoot(), sitename, file);
+        if (fs.existsSync(filePath)) fs.renameSync(filePath, path.join(archive, `${stamp}-${label}-${path.basename(file)}`));
+      }
+      for (const key of ['key', 'cert', 'certified', 'issuedBy']) delete sslConfig[key];
+      this.config.save();
+    }
+    static RevocationReasons = {
+      unspecified: 0,
+      keyCompromise: 1,
+      affiliationChanged: 3,
+      superseded: 4,
+      cessationOfOperation: 5
+    };
+    // Each CA has its own account. The key file and account URL are kept in the root config's
+    // [acme.<ca>] section so every start reuses the same account.
+    async getClient(ca) {
+      if (!this.clients[ca]) {
+        const {directoryUrl, eab} = this.getCA(ca);
+        this.config.setPath('/');
+        this.config.load();
+        const account = this.config.data.acme?.[ca] || {};
+        let accountKey;
+        if (account.accountKey) {
+          accountKey = this.config.readFile(account.accountKey);
+        } else {
+          accountKey = await Acme.crypto.createPrivateKey();
+          // A handshake or scan may have moved the shared config to a domain while the key was made
+          this.config.setPath('/');
+          this.config.writeFile(`acme_${ca}_account_key.pem`, accountKey.toString());
+          this.saveAccount(ca, {accountKey: `acme_${ca}_account_key.pem`});
+        }
+        // An account URL is only valid at the directory that issued it
+        const accountUrl = account.directoryUrl === directoryUrl ? account.accountUrl : undefined;
+        this.clients[ca] = new Acme.Client({directoryUrl, accountKey, accountUrl, externalAccountBinding: eab});
+      }
+      return this.clients[ca];
+    }
+    // Register the account with the CA if it is not yet known. Returns the client.
+    async ensureAccount(ca = this.caList()[0]) {
+      const client = await this.getClient(ca);
+      try {
+        client.getAccountUrl();
+      } catch (e) {
+        await client.createAccount({
+          termsOfServiceAgreed: true,
+          contact: this.contactEmail ? [`mailto:${this.contactEmail}`] : undefined
+        });
+        const accountUrl = client.getAccountUrl();
+        this.saveAccount(ca, {accountUrl, directoryUrl: this.getCA(ca).directoryUrl});
+        console.log(`ACME account registered with ${ca}: ${accountUrl}`);
+      }
+      return client;
+    }
+    saveAccount(ca, changes) {
+      this.config.setPath('/');
+      this.config.load();
+      const accounts = this.config.data.acme = this.config.data.acme || {};
+      const account = accounts[ca] = accounts[ca] || {};
+      Object.assign(account, changes);
+      for (const key of Object.keys(changes)) if (changes[key] === undefined) delete account[key];
+      if (Object.keys(account).length === 0) delete accounts[ca];
+      this.config.save();
+    }
+    // CAs where an account has been registered
+    registeredCAs() {
+      this.config.setPath('/');
+      this.config.load();
+      const accounts = this.config.data.acme || {};
+      return Object.keys(accounts).filter(ca => accounts[ca]?.accountUrl);
+    }
+    async rotateAccountKey(ca = this.caList()[0]) {
+      const client = await this.ensureAccount(ca);
+      const accountKey = await Acme.crypto.createPrivateKey();
+      await client.updateAccountKey(accountKey);
+      this.config.setPath('/');
+      this.config.writeFile(`acme_${ca}_account_key.pem`, accountKey.toString());
+      this.saveAccount(ca, {accountKey: `acme_${ca}_account_key.pem`});
+      delete this.clients[ca];
+      console.log(`ACME account key rotated for ${ca}`);
+    }
+    // Update the contact on every registered account
+    async updateContact(email) {
+      for (const ca of this.registeredCAs()) {
+        const client = await this.ensureAccount(ca);
+        await client.updateAccount({contact: [`mailto:${email}`]});
+      }
+      this.contactEmail = email;
+      this.config.setPath('/');
+      this.config.load();
+      this.config.data.ssl = Object.assign(this.config.data.ssl || {}, {email});
+      this.config.save();
+      console.log(`ACME account contact updated to ${email}`);
+    }
+    // Deactivation is permanent. The next order from this CA registers a new account under a new key.
+    async deactivateAccount(ca = this.caList()[0]) {
+      const client = await this.ensureAccount(ca);
+      await client.updateAccount({status: 'deactivated'});
+      this.saveAccount(ca, {accountKey: undefined, accountUrl: undefined, directoryUrl: undefined});
+      delete this.clients[ca];
+      console.log(`ACME account with ${ca} deactivated`);
+    }
+    // Names a certificate covers: the site itself, *.site when ssl.wildcard is set, and ssl.altNames
+    static CertNames(sitename, sslConfig={}) {
+      const names = [sitename].concat(sslConfig.wildcard ? `*.${sitename}` : [], Certify.List(sslConfig.altNames));
+      return Array.from(new Set(names.map(name => name.trim().toLowerCase()).filter(Boolean)));
+    }
+    static List(value) {
+      if (!value) return [];
+      return typeof value === 'string' ? value.split(',') : [].concat(value);
+    }
+    configRoot() {
+      return this.config.configDir || path.join(os.homedir(), '.epistery');
+    }
+    // Domain folders in the epistery config tree
+    knownDomains() {
+      const root = this.configRoot();
+      if (!fs.existsSync(root)) return [];
+      return fs.readdirSync(root, {withFileTypes: true})
+        .filter(entry => entry.isDirectory() && (entry.name.includes('.') || entry.name === 'localhost'))
+        .map(entry => entry.name);
+    }
+    loadCoverage() {
+      this.coverage = {};
+      this.coverageLoaded = moment();
+      for (const domain of this.knownDomains()) {
+        this.config.setPath(`/${domain}`);
+        this.config.load();
+        const sslConfig = this.config.data.ssl;
+        if (!sslConfig || sslConfig.retired) continue;
+        // Prefer the names in the certificate itself, which may have been imported
+        const names = this.readCertificate(domain)?.names || Certify.CertNames(domain, sslConfig);
+        for (const name of names) {
+          // A domain's own certificate takes precedence over one that merely lists it
+          if (!this.coverage[name] || name === domain) this.coverage[name] = domain;
+        }
+      }
+      return this.coverage;
+    }
+    // Find the name of the certificate that covers hostname, or hostname itself if none does
+    resolveCertName(hostname) {
+      hostname = hostname.toLowerCase();
+      const wildcard = `*.${hostname.slice(hostname.indexOf('.') + 1)}`;
+      // Re-scan on a miss, at most once per MAX_WAIT_TIME, to pick up domains configured since
+      if (!this.coverage || (!this.coverage[hostname] && !this.coverage[wildcard]
+          && moment().isAfter(moment(this.coverageLoaded).add(MAX_WAIT_TIME, 'seconds')))) {
+        this.loadCoverage();
+      }
+      return this.coverage[hostname] || this.coverage[wildcard] || hostname;
+    }
+    // Parse the certificate stored for sitename. Returns undefined if there is none.
+    readCertificate(sitename) {
+      this.config.setPath(`/${sitename}`);
+      this.config.load();
+      const sslConfig = this.config.data.ssl;
+      if (!sslConfig?.cert) return undefined;
+      let x509;
+      try {
+        x509 = new crypto.X509Certificate(this.config.readFile(sslConfig.cert));
+      } catch (e) {
+        console.error(`Unable to read certificate for ${sitename}: ${e.message}`);
+        return undefined;
+      }
+      const notBefore = moment(new Date(x509.validFrom));
+      const notAfter = moment(new Date(x509.validTo));
+      const lifetime = notAfter.diff(notBefore);
+      const renewBefore = this.options.renewBefore || RENEW_BEFORE;
+      return {
+        name: sitename,
+        names: (x509.subjectAltName || '').split(', ').filter(entry => entry.startsWith('DNS:')).map(entry => entry.slice(4)),
+        subject: x509.subject,
+        issuer: x509.issuer,
+        serialNumber: x509.serialNumber,
+        ca: sslConfig.issuedBy,
+        notBefore: notBefore.toISOString(),
+        notAfter: notAfter.toISOString(),
+        renewAt: moment(notAfter).subtract(lifetime * renewBefore, 'ms').toISOString(),
+        ariId: Certify.AriCertId(x509)
+      };
+    }
+    // Parsed details of the certificate covering hostname, with the ARI window when the CA offers one
+    async getCertificateInfo(hostname) {
+      const info = this.readCertificate(this.resolveCertName(hostname));
+      if (!info) return undefined;
+      const ari = await this.getRenewalInfo(info);
+      if (ari) {
+        info.ari = {start: ari.start, end: ari.end, explanationURL: ari.explanationURL};
+        info.renewAt = ari.renewAt;
+      }
+      return info;
+    }
+    async renewalDue(sitename) {
+      const info = this.readCertificate(sitename);
+      if (!info) return true;
+      if (moment().isAfter(info.notAfter)) return true;
+      const ari = await this.getRenewalInfo(info);
+      return moment().isAfter(ari ? ari.renewAt : info.renewAt);
+    }
+    // Fetch ACME Renewal Information (RFC 9773). Results are cached per certificate until the CA's
+    // Retry-After. Returns undefined when the CA has no renewalInfo endpoint or the lookup fails.
+    async getRenewalInfo(info) {
+      const ca = info.ca || this.caList()[0];
+      if (!info.ariId || ca === 'local' || this.useLocalCA(info.name)) return undefined;
+      const cached = this.renewalInfo[info.ariId];
+      if (cached && moment().isBefore(cached.retryAfter)) return cached.start ? cached : undefined;
+      const entry = {retryAfter: moment().add(ARI_RETRY, 'hours')};
+      this.renewalInfo[info.ariId] = entry;
+      try {
+        const directory = await this.getDirectory(ca);
+        if (!directory.renewalInfo) return undefined;
+        const response = await axios.get(`${directory.renewalInfo}/${info.ariId}`, {timeout: 5000});
+        const window = response.data.suggestedWindow;
+        const retryAfter = parseInt(response.headers['retry-after']);
+        if (retryAfter) entry.retryAfter = moment().add(retryAfter, 'seconds');
+        entry.start = window.start;
+        entry.end = window.end;
+        entry.explanationURL = response.data.explanationURL;
+        // Renew at a random point in the window so many certificates don't hit the CA at once
+        const start = moment(window.start);
+        entry.renewAt = start.add(Math.random() * moment(window.end).diff(start), 'ms').toISOString();
+        return entry;
+      } catch (e) {
+        console.error(`Unable to fetch renewal info for ${info.name}: ${e.message}`);
+        return undefined;
+      }
+    }
+    async getDirectory(ca) {
+      if (!this.directories[ca]) {
+        this.directories[ca] = (await axios.get(this.getCA(ca).directoryUrl, {timeout: 5000})).data;
+      }
+      return this.directories[ca];
+    }
+    // ARI certificate id: base64url(authority key identifier) "." base64url(DER serial number)
+    static AriCertId(x509) {
+      const keyId = Certify.AuthorityKeyId(x509.raw);
+      if (!keyId) return undefined;
+      let serial = Buffer.from(x509.serialNumber.length % 2 ? '0' + x509.serialNumber : x509.serialNumber, 'hex');
+      if (serial[0] & 0x80) serial = Buffer.concat([Buffer.from([0]), serial]);
+      return `${keyId.toString('base64url')}.${serial.toString('base64url')}`;
+    }
+    // Extract the keyIdentifier of the authorityKeyIdentifier extension (OID 2.5.29.35) from certificate DER
+    static AuthorityKeyId(der) {
+      const readLength = (offset) => {
+        const first = der[offset];
+        if (first < 0x80) return {length: first, start: offset + 1};
+        let length = 0;
+        for (let i = 1; i <= (first & 0x7f); i++) length = (length << 8) | der[offset + i];
+        return {length, start: offset + 1 + (first & 0x7f)};
+      };
+      let offset = der.indexOf(Buffer.from([0x06, 0x03, 0x55, 0x1d, 0x23]));
+      if (offset < 0) return undefined;
+      offset += 5;
+      if (der[offset] === 0x01) offset += 3; // critical flag
+      if (der[offset] !== 0x04) return undefined; // extnValue OCTET STRING
+      offset = readLength(offset + 1).start;
+      if (der[offset] !== 0x30) return undefined; // AuthorityKeyIdentifier SEQUENCE
+      offset = readLength(offset + 1).start;
+      if (der[offset] !== 0x80) return undefined; // [0] keyIdentifier
+      const {length, start} = readLength(offset + 1);
+      return der.subarray(start, start + length);
+    }
+    httpChallenge() {
+      return {
+        challengeCreateFn: (authz, challenge, keyAuthorization) => {
+          console.log(`✓ Challenge created - token: ${challenge.token}`);
+          console.log(`  Challenge URL: http://${authz.identifier.value}/.well-known/acme-challenge/${challenge.token}`);
+          this.challenges[challenge.token] = keyAuthorization;
+        },
+        challengeRemoveFn: (authz, challenge) => {
+          console.log(`✓ Challenge removed - token: ${challenge.token}`);
+          delete this.challenges[challenge.token];
+        },
+      };
+    }
+    dnsChallenge(provider) {
+      return {
+        // The provider confirms propagation against its own nameservers, which may not be the system resolver
+        skipChallengeVerification: true,
+        challengeCreateFn: async (authz, challenge, keyAuthorization) => {
+          const recordName = `_acme-challenge.${authz.identifier.value}`;
+          console.log(`✓ DNS challenge created - ${recordName} TXT ${keyAuthorization}`);
+          await provider.createRecord(recordName, keyAuthorization);
+          await provider.waitForPropagation(recordName, keyAuthorization);
+        },
+        challengeRemoveFn: async (authz, challenge, keyAuthorization) => {
+          const recordName = `_acme-challenge.${authz.identifier.value}`;
+          console.log(`✓ DNS challenge removed - ${recordName}`);
+          await provider.removeRecord(recordName, keyAuthorization);
+        },
+      };
+    }
+    getDnsProvider(name) {
+      name = name || this.options.dns?.provider || 'file';
+      if (!this.dnsProviders[name]) {
+        // options.dnsProviders may supply an instance or a DnsProvider subclass
+        const Provider = this.options.dnsProviders?.[name] || Certify.DnsProviders[name];
+        if (!Provider) throw new Error(`unknown dns provider: ${name}`);
+        this.dnsProviders[name] = typeof Provider === 'function' ? new Provider(this.options.dns) : Provider;
+      }
+      return this.dnsProviders[name];
     }
 }
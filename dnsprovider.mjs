@@ -0,0 +1,122 @@
+/**
+ *  DnsProvider
+ *
+ *  TXT record management for ACME dns-01 challenges. A provider creates and
+ *  removes `_acme-challenge` records and reports when a record is visible to
+ *  the resolvers the CA will use. Extend DnsProvider to add a provider for
+ *  another DNS host.
+ *
+ */
+import fs from 'fs';
+import dns from 'dns';
+import {dirname} from 'path';
+import {spawn} from 'child_process';
+
+const PROPAGATION_TIMEOUT = 120; // seconds
+const PROPAGATION_INTERVAL = 5; // seconds
+
+export class DnsProvider {
+    constructor(options) {
+        this.options = options || {};
+    }
+    async createRecord(name, value) {
+        throw new Error(`${this.constructor.name} does not implement createRecord`);
+    }
+    async removeRecord(name, value) {
+        throw new Error(`${this.constructor.name} does not implement removeRecord`);
+    }
+    // Poll the configured nameservers (or the system resolver) until the TXT value is visible
+    async waitForPropagation(name, value) {
+        const resolver = new dns.promises.Resolver();
+        if (this.options.nameservers) resolver.setServers([].concat(this.options.nameservers));
+        const timeout = (this.options.propagationTimeout || PROPAGATION_TIMEOUT) * 1000;
+        const interval = (this.options.propagationInterval || PROPAGATION_INTERVAL) * 1000;
+        const deadline = Date.now() + timeout;
+        while (true) {
+            try {
+                const records = await resolver.resolveTxt(name);
+                if (records.some(chunks => chunks.join('') === value)) {
+                    console.log(`✓ TXT record for ${name} is visible`);
+                    return;
+                }
+            } catch (e) {
+                if (!['ENOTFOUND', 'ENODATA', 'ESERVFAIL', 'ETIMEOUT', 'ECONNREFUSED'].includes(e.code)) throw e;
+            }
+            if (Date.now() + interval > deadline) {
+                throw new Error(`TXT record for ${name} did not propagate within ${timeout / 1000} seconds`);
+            }
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+    }
+}
+
+/**
+ * Keeps challenge records in a JSON file ({"<name>": ["<value>", ...]}) for a local
+ * DNS server or test stand-in to serve. Options: file, nameservers (optional).
+ */
+export class FileDnsProvider extends DnsProvider {
+    constructor(options) {
+        super(options);
+        if (!this.options.file) throw new Error('FileDnsProvider requires a file option');
+    }
+    read() {
+        if (!fs.existsSync(this.options.file)) return {};
+        return JSON.parse(fs.readFileSync(this.options.file, 'utf8') || '{}');
+    }
+    write(records) {
+        fs.mkdirSync(dirname(this.options.file), {recursive: true});
+        fs.writeFileSync(this.options.file, JSON.stringify(records, null, 2));
+    }
+    async createRecord(name, value) {
+        const records = this.read();
+        records[name] = (records[name] || []).filter(v => v !== value).concat(value);
+        this.write(records);
+    }
+    async removeRecord(name, value) {
+        const records = this.read();
+        records[name] = (records[name] || []).filter(v => v !== value);
+        if (records[name].length === 0) delete records[name];
+        this.write(records);
+    }
+    async waitForPropagation(name, value) {
+        // Without nameservers to ask, the file itself is the authority
+        if (!this.options.nameservers) return;
+        return super.waitForPropagation(name, value);
+    }
+}
+
+/**
+ * Sends RFC 2136 dynamic updates through the `nsupdate` utility.
+ * Options: server, zone (optional), keyFile (TSIG, optional), ttl, nameservers.
+ */
+export class NsupdateDnsProvider extends DnsProvider {
+    constructor(options) {
+        super(options);
+        if (!this.options.server) throw new Error('NsupdateDnsProvider requires a server option');
+        if (!this.options.nameservers) this.options.nameservers = [this.options.server];
+    }
+    async createRecord(name, value) {
+        await this.update(`update add ${name}. ${this.options.ttl || 60} TXT "${value}"`);
+    }
+    async removeRecord(name, value) {
+        await this.update(`update delete ${name}. TXT "${value}"`);
+    }
+    update(command) {
+        const [host, port] = this.options.server.split(':');
+        const script = [`server ${host}${port ? ' ' + port : ''}`];
+        if (this.options.zone) script.push(`zone ${this.options.zone}`);
+        script.push(command, 'send', '');
+        return new Promise((resolve, reject) => {
+            const args = this.options.keyFile ? ['-k', this.options.keyFile] : [];
+            const proc = spawn(this.options.nsupdate || 'nsupdate', args);
+            let stderr = '';
+            proc.stderr.on('data', data => stderr += data.toString());
+            proc.on('error', reject);
+            proc.on('close', code => {
+                if (code === 0) resolve();
+                else reject(new Error(`nsupdate failed with exit code ${code}: ${stderr.trim()}`));
+            });
+            proc.stdin.end(script.join('\n'));
+        });
+    }
+}
@@ -1,3 +1,9 @@
 export { Certify } from './certify.mjs';
+export { DnsProvider, FileDnsProvider, NsupdateDnsProvider } from './dnsprovider.mjs';
+export { LocalCA } from './localca.mjs';
 export { Synchronize } from './synchronize.mjs';
 export { MultiSite, Site } from './multisite.mjs';
+export { PortAllocator } from './portallocator.mjs';
+export { SiteLog } from './sitelog.mjs';
+export { processUsage } from './processusage.mjs';
+export { Metrics } from './metrics.mjs';
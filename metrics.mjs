@@ -0,0 +1,110 @@
+/**
+ *  Metrics
+ *
+ *  A small registry of counters, gauges and histograms rendered in the
+ *  Prometheus text exposition format. MultiSite and Certify record into the
+ *  registry passed as their metrics option; collectors registered with
+ *  collect() refresh gauges just before each scrape.
+ *
+ */
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // seconds
+
+class Family {
+    constructor(name, help, type, buckets) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.buckets = buckets;
+        this.series = new Map(); // label key => {labels, value} or {labels, counts, sum, count}
+    }
+    get(labels) {
+        const key = JSON.stringify(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, this.type === 'histogram'
+                ? {labels, counts: this.buckets.map(() => 0), sum: 0, count: 0}
+                : {labels, value: 0});
+        }
+        return this.series.get(key);
+    }
+    inc(labels = {}, value = 1) {
+        this.get(labels).value += value;
+    }
+    set(labels = {}, value) {
+        this.get(labels).value = value;
+    }
+    observe(labels = {}, value) {
+        const series = this.get(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+    reset() {
+        this.series.clear();
+    }
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            if (this.type !== 'histogram') {
+                lines.push(`${this.name}${Family.Labels(series.labels)} ${series.value}`);
+                continue;
+            }
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${Family.Labels({...series.labels, le: bound})} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${Family.Labels({...series.labels, le: '+Inf'})} ${series.count}`);
+            lines.push(`${this.name}_sum${Family.Labels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${Family.Labels(series.labels)} ${series.count}`);
+        }
+        return lines.join('\n');
+    }
+    static Labels(labels) {
+        const pairs = Object.entries(labels)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+        return pairs.length ? `{${pairs.join(',')}}` : '';
+    }
+}
+
+export class Metrics {
+    constructor() {
+        this.families = new Map();
+        this.collectors = [];
+    }
+    counter(name, help) {
+        return this.family(name, help, 'counter');
+    }
+    gauge(name, help) {
+        return this.family(name, help, 'gauge');
+    }
+    histogram(name, help, buckets = BUCKETS) {
+        return this.family(name, help, 'histogram', buckets);
+    }
+    family(name, help, type, buckets) {
+        if (!this.families.has(name)) this.families.set(name, new Family(name, help, type, buckets));
+        const family = this.families.get(name);
+        if (family.type !== type) throw new Error(`metric ${name} is already registered as a ${family.type}`);
+        return family;
+    }
+    // fn() runs before each scrape to bring gauges up to date
+    collect(fn) {
+        this.collectors.push(fn);
+    }
+    async render() {
+        for (const collector of this.collectors) {
+            try {
+                await collector();
+            } catch (error) {
+                console.error(`Metrics collector failed: ${error.message}`);
+            }
+        }
+        return [...this.families.values()].map(family => family.render()).join('\n') + '\n';
+    }
+    // Express handler serving the registry
+    get handler() {
+        return async (req, res) => {
+            res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8').send(await this.render());
+        };
+    }
+}
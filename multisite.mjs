@@ -3,30 +3,97 @@ import tls from 'tls';
 import { Config } from 'epistery';
 import moment from 'moment';
 import fs from "fs";
-import {resolve} from "path";
+import {resolve, join} from "path";
+import {fileURLToPath} from 'url';
 import child_process from "child_process";
 import axios from 'axios';
+import http from 'http';
+import net from 'net';
+import {PortAllocator} from './portallocator.mjs';
+import { adminAuth } from './adminauth.mjs';
+import {SiteLog} from './sitelog.mjs';
+import {processUsage} from './processusage.mjs';
+import {Metrics} from './metrics.mjs';
 
 const MAX_AGE = 75; // days
 const MAX_WAIT_TIME = 60; // seconds
+const PROXY_TIMEOUT = 30; // seconds to wait for a site to start answering
+const START_TIMEOUT = 30; // seconds a site has to start listening on its port
+const QUEUE_LIMIT = 100; // requests held per site while it starts
+const QUEUE_TIMEOUT = 60; // seconds a request is held waiting for its site
+const DRAIN_TIMEOUT = 30; // seconds an old instance may finish its requests after a restart
+const IDLE_CHECK = 60; // seconds between checks for idle sites
+const REPLICA_LOAD = 10; // requests in flight per instance before another replica is started
+const STICKY_COOKIE = 'multisite_replica';
+const LIMIT_CHECK = 10; // seconds between resource usage samples
+const CPU_STRIKES = 6; // consecutive samples over the cpu limit before a site is restarted
+const INHERIT_ENV = ['PATH', 'HOME', 'LANG', 'TZ', 'NODE_ENV']; // variables sites get from the proxy's environment
+const MB = 1024 * 1024;
+const DASHBOARD = fileURLToPath(new URL('./dashboard.html', import.meta.url));
+const MAX_SITES = 50; // running sites beyond which hosts are no longer spawned on demand
+const RESTART_BACKOFF = {min: 1, max: 60}; // seconds before an automatic restart, doubling with each recent crash
+const CRASH_LOOP = {max: 5, window: 300}; // exits within window (seconds) that park a site
+const SPAWN_RATE = {max: 5, window: 600}; // on-demand spawns allowed per client per window (seconds)
+// Headers that describe one connection and must not be passed through a proxy (RFC 9110 7.6.1)
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-connection', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
 
 export class MultiSite {
     constructor(app,options) {
         this.app = app;
         this.options = options || {};
         this.sites = {};
-        this.spawning = new Set(); // Track domains currently being spawned
-        this._spawnPort = (parseInt(this.options.spawnPort||0) || 53874);
-        this.usedPorts = new Set();
+        this.manifest = {}; // site name => validated manifest entry
+        this.added = {}; // site name => manifest entry added through the admin API
+        this.aliases = {}; // alias hostname => site name
+        this.wildcards = []; // [{suffix, name}] for *.domain aliases, most specific first
+        this.redirects = {}; // hostname => canonical site name to redirect to
+        this.defaultSite = undefined; // site for hosts nothing else matches
+        this.spawning = new Map(); // domain => pending spawn check, shared by concurrent first requests
         this.healthCheckIntervals = new Map();
         this.isShuttingDown = false;
         this.errorLogTracker = new Map(); // Track error frequency for rate limiting
+        this.spawnAttempts = new Map(); // client IP => timestamps of on-demand spawns
+        this.restarting = new Set(); // sites in the middle of restartSite
+        this.logs = new Map(); // site name => SiteLog
+        this.metrics = this.options.metrics || new Metrics();
         this.setupCleanup();
+        this.setupMetrics();
     }
-    get spawnPort() {
-        const port = this._spawnPort++;
-        this.usedPorts.add(port);
-        return port;
+    get portOptions() {
+        const start = parseInt(this.options.spawnPort||0) || 53874;
+        return {
+            range: this.options.portRange || [start, start + 999],
+            sockets: !!this.options.unixSockets,
+            socketDir: this.options.socketDir
+        };
+    }
+
+    setupMetrics() {
+        const metrics = this.metrics;
+        this.meters = {
+            requests: metrics.counter('multisite_requests_total', 'Requests routed to the site, by status code'),
+            bytes: metrics.counter('multisite_response_bytes_total', 'Response body bytes proxied from the site'),
+            latency: metrics.histogram('multisite_upstream_latency_seconds', 'Time until the site began its response'),
+            upstreamErrors: metrics.counter('multisite_upstream_errors_total', 'Requests that could not reach the site (502)')
+        };
+        const up = metrics.gauge('multisite_instance_up', 'Whether the instance is running and ready');
+        const uptime = metrics.gauge('multisite_instance_uptime_seconds', 'Seconds since the instance became ready');
+        const restarts = metrics.counter('multisite_instance_restarts_total', 'Automatic restarts of the instance');
+        const rss = metrics.gauge('multisite_instance_memory_rss_bytes', 'Resident memory of the instance process tree');
+        const cpu = metrics.counter('multisite_instance_cpu_seconds_total', 'CPU time of the instance process tree');
+        metrics.collect(() => {
+            for (const family of [up, uptime, restarts, rss, cpu]) family.reset();
+            for (const site of this.instances()) {
+                const labels = {site: site.name, replica: site.replica};
+                up.set(labels, site.status === 'running' ? 1 : 0);
+                if (site.status === 'running') uptime.set(labels, Math.round((Date.now() - Date.parse(site.startedAt)) / 1000));
+                restarts.set(labels, site.restarts);
+                if (site.usage && site.usage.pid === site.proc?.pid) {
+                    rss.set(labels, site.usage.rss);
+                    cpu.set(labels, site.usage.cpu);
+                }
+            }
+        });
     }
 
     setupCleanup() {
@@ -37,7 +104,7 @@ export class MultiSite {
         process.on('exit', () => {
             // Synchronous cleanup only - no async operations allowed in 'exit'
             console.log('Emergency cleanup on exit...');
-            Object.values(this.sites).forEach((site) => {
+            this.instances().forEach((site) => {
                 if (site.proc && !site.proc.killed) {
                     site.proc.kill('SIGKILL');
                 }
@@ -82,7 +149,8 @@ export class MultiSite {
             process.exit(1);
         }, 15000); // 15 second total timeout
 
-        const promises = Object.values(this.sites).map(async (site) => {
+        const promises = this.instances().map(async (site) => {
+            site.halt();
             if (site.proc && !site.proc.killed) {
                 return new Promise((resolve) => {
                     const timeout = setTimeout(() => {
@@ -109,70 +177,455 @@ export class MultiSite {
         // Clear all health check intervals
         this.healthCheckIntervals.forEach(interval => clearInterval(interval));
         this.healthCheckIntervals.clear();
+        this.logs.forEach(log => log.close());
+        clearInterval(this.idleTimer);
+        clearInterval(this.limitTimer);
 
         clearTimeout(cleanupTimeout);
         console.log('All spawned processes cleaned up');
     }
 
     startHealthCheck(site) {
+        this.stopHealthCheck(site);
         const intervalId = setInterval(async () => {
             if (!site.proc || site.proc.killed) {
-                clearInterval(intervalId);
-                this.healthCheckIntervals.delete(site.name);
+                this.stopHealthCheck(site);
                 return;
             }
 
             try {
-                await axios.get(`http://127.0.0.1:${site.options.env.PORT}/health`, {
+                const response = await axios.get(`${site.url}${site.manifest?.health || '/health'}`, {
+                    socketPath: site.address.socketPath,
                     timeout: 5000,
                     validateStatus: () => true
                 });
+                // A replica answering 5xx is taken out of rotation until it recovers
+                const healthy = response.status < 500;
+                if (healthy !== site.healthy) console.log(`${site.label}: health check ${healthy ? 'passing' : `failing with ${response.status}`}`);
+                site.healthy = healthy;
             } catch (error) {
-                if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-                    console.log(`Health check failed for ${site.name}, marking for restart...`);
-                    clearInterval(intervalId);
-                    this.healthCheckIntervals.delete(site.name);
-
-                    // Mark the process as failed for cleanup
-                    if (site.proc && !site.proc.killed) {
-                        site.proc.kill('SIGTERM');
-                    }
+                if (['ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET'].includes(error.code)) {
+                    console.log(`Health check failed for ${site.label}, restarting...`);
+                    this.stopHealthCheck(site);
+
+                    // The supervisor restarts the site once the process has exited
+                    site.terminate('health check failed');
                 }
             }
         }, 30000); // Check every 30 seconds
 
-        this.healthCheckIntervals.set(site.name, intervalId);
+        this.healthCheckIntervals.set(site, intervalId);
     }
-
-    restartSite(domain) {
-        const oldSite = this.sites[domain];
-        if (oldSite) {
-            // Clear health check
-            const intervalId = this.healthCheckIntervals.get(oldSite.name);
-            if (intervalId) {
-                clearInterval(intervalId);
-                this.healthCheckIntervals.delete(oldSite.name);
+    stopHealthCheck(site) {
+        const intervalId = this.healthCheckIntervals.get(site);
+        if (intervalId) {
+            clearInterval(intervalId);
+            this.healthCheckIntervals.delete(site);
+        }
+    }
+    // Supervisor: restart a site whose process exited without being asked to, waiting longer after
+    // each recent crash. A site that exits crashLoop.max times within crashLoop.window seconds is
+    // parked and shows a maintenance page until restartSite() is called.
+    siteExited(site, code, signal) {
+        site.lastExit = {code, signal, at: new Date().toISOString(), reason: site.exitReason};
+        site.exitReason = undefined;
+        if (site.stopping || this.isShuttingDown || !this.isCurrent(site)) {
+            site.status = 'stopped';
+            return;
+        }
+        const backoff = this.options.restartBackoff || RESTART_BACKOFF;
+        const loop = this.options.crashLoop || CRASH_LOOP;
+        const now = Date.now();
+        site.crashes = site.crashes.filter(time => now - time < loop.window * 1000).concat(now);
+        if (site.crashes.length >= loop.max) {
+            site.status = 'parked';
+            console.error(`${site.label}: exited ${site.crashes.length} times in ${loop.window} seconds, parked until restarted`);
+            return;
+        }
+        const delay = Math.min(backoff.min * 2 ** (site.crashes.length - 1), backoff.max);
+        site.status = 'restarting';
+        site.restartAt = now + delay * 1000;
+        console.log(`${site.label}: restarting in ${delay} seconds`);
+        site.restartTimer = setTimeout(() => {
+            site.restartTimer = undefined;
+            if (site.stopping || !this.isCurrent(site)) return;
+            site.restarts++;
+            site.spawn();
+        }, delay * 1000);
+    }
+    // Sample memory and CPU time of every instance's process tree. An instance over its limits.rss,
+    // or over limits.cpu percent for CPU_STRIKES samples in a row, is restarted by the supervisor.
+    async checkLimits() {
+        const running = this.instances().filter(site => site.proc?.pid);
+        const usage = running.length ? await processUsage(running.map(site => site.proc.pid)) : undefined;
+        if (!usage) return;
+        const now = Date.now();
+        for (const site of running) {
+            const pid = site.proc?.pid;
+            const sample = usage.get(pid);
+            if (!sample) continue;
+            const previous = site.usage?.pid === pid ? site.usage : undefined;
+            const cpuPercent = previous ? (sample.cpu - previous.cpu) / ((now - previous.at) / 1000) * 100 : undefined;
+            site.usage = {pid, at: now, rss: sample.rss, cpu: sample.cpu, cpuPercent, processes: sample.processes};
+            const limits = site.limits;
+            if (!limits || site.status !== 'running') continue;
+            if (limits.rss && sample.rss > limits.rss * MB) {
+                site.terminate(`memory ${Math.round(sample.rss / MB)} MB over the ${limits.rss} MB limit`);
+                continue;
             }
-
-            // Kill old process
-            if (oldSite.proc && !oldSite.proc.killed) {
-                oldSite.proc.kill('SIGTERM');
+            site.cpuStrikes = limits.cpu && cpuPercent > limits.cpu ? (site.cpuStrikes || 0) + 1 : 0;
+            if (site.cpuStrikes >= CPU_STRIKES) {
+                site.cpuStrikes = 0;
+                site.terminate(`cpu over ${limits.cpu}% for ${CPU_STRIKES} samples`);
             }
+        }
+    }
+    // Every process-owning Site: each site's first instance and its replicas
+    instances() {
+        return Object.values(this.sites).flatMap(site => [site, ...site.peers]);
+    }
+    isCurrent(site) {
+        const lead = this.sites[site.name];
+        return lead === site || !!lead?.peers.includes(site);
+    }
+    createSite(domain, start = true) {
+        const site = this.manifest[domain] ? Site.FromManifest(this.manifest[domain], this, start) : Site.Clone(domain, this);
+        if (start) this.scale(site, site.manifest?.replicas.min || 1);
+        return site;
+    }
+    // Stop one instance for good and give back its port
+    async retire(site) {
+        this.stopHealthCheck(site);
+        await site.stop();
+        this.ports.release(site.options.env.PORT);
+    }
+    // Run count instances of a site by starting or stopping replicas beside the first
+    scale(lead, count) {
+        while (lead.peers.length < count - 1) {
+            const peer = Site.Replica(lead, lead.peers.length + 1);
+            lead.peers.push(peer);
+            peer.spawn();
+        }
+        while (lead.peers.length > count - 1) {
+            const peer = lead.peers.pop();
+            peer.halt();
+            peer.drain((this.options.drainTimeout || DRAIN_TIMEOUT) * 1000).then(() => this.retire(peer));
+        }
+    }
+    // Instances that can take requests: running and passing their health check. If none pass,
+    // every running instance is used rather than none.
+    available(lead) {
+        const running = [lead, ...lead.peers].filter(site => site.status === 'running');
+        const healthy = running.filter(site => site.healthy);
+        return healthy.length ? healthy : running;
+    }
+    // Choose the instance for a request: the one named by the sticky cookie if it is available,
+    // else the next in turn, or with balance:"least-connections" the one with fewest in flight
+    pick(lead, req) {
+        const ready = this.available(lead);
+        if (ready.length <= 1) return ready[0];
+        if (lead.manifest?.sticky) {
+            const wanted = MultiSite.Cookie(req, lead.manifest.sticky);
+            const match = ready.find(site => String(site.replica) === wanted);
+            if (match) return match;
+        }
+        if (lead.manifest?.balance === 'least-connections') {
+            return ready.reduce((best, site) => site.active < best.active ? site : best);
+        }
+        lead.turn = ((lead.turn || 0) + 1) % ready.length;
+        return ready[lead.turn];
+    }
+    // Sites with a replicas range grow when every instance is busy and shrink again when the
+    // busiest moment since the last check would have fit in one instance fewer
+    autoscale(lead) {
+        const {min, max} = lead.manifest?.replicas || {min: 1, max: 1};
+        if (min === max || !['running', 'restarting', 'starting'].includes(lead.status)) return;
+        const load = this.options.replicaLoad || REPLICA_LOAD;
+        const count = 1 + lead.peers.length;
+        const active = this.inFlight(lead);
+        lead.busiest = Math.max(lead.busiest || 0, active);
+        if (count < max && active >= count * load) {
+            console.log(`${lead.name}: ${active} requests in flight, starting replica ${count + 1}`);
+            this.scale(lead, count + 1);
+        }
+    }
+    // Requests in flight across a site's instances
+    inFlight(lead) {
+        return [lead, ...lead.peers].reduce((sum, site) => sum + site.active, 0);
+    }
+    shrink(lead) {
+        const {min} = lead.manifest?.replicas || {min: 1};
+        const count = 1 + lead.peers.length;
+        const load = this.options.replicaLoad || REPLICA_LOAD;
+        if (count > min && (lead.busiest || 0) <= (count - 1) * load / 2) {
+            console.log(`${lead.name}: load has dropped, stopping replica ${count}`);
+            this.scale(lead, count - 1);
+        }
+        lead.busiest = 0;
+    }
+    // Set-Cookie pinning the client to this replica, when the site is sticky and runs more than one
+    stickyCookie(req, site) {
+        const name = site.manifest?.sticky;
+        if (!name || !this.sites[site.name]?.peers.length || MultiSite.Cookie(req, name) === String(site.replica)) return undefined;
+        return `${name}=${site.replica}; Path=/; HttpOnly; SameSite=Lax`;
+    }
+    // The raw value of the named cookie in the request. It is not URI-decoded: a replica number needs
+    // no decoding, and a malformed escape sent by a client must not throw.
+    static Cookie(req, name) {
+        for (const pair of (req.headers.cookie || '').split(';')) {
+            const [key, ...value] = pair.trim().split('=');
+            if (key === name) return value.join('=');
+        }
+        return undefined;
+    }
+    // The log of a site, kept across restarts. Files go to options.logDir (default ./logs, false for none).
+    siteLog(name) {
+        if (!this.logs.has(name)) {
+            this.logs.set(name, new SiteLog(name, {
+                dir: this.options.logDir === false ? undefined : resolve(this.options.logDir || './logs'),
+                maxSize: this.options.logMaxSize,
+                maxFiles: this.options.logMaxFiles,
+                rotate: this.options.logRotate,
+                lines: this.options.logLines
+            }));
+        }
+        return this.logs.get(name);
+    }
+    // Record a request for the site in its access log and metrics once the response is done
+    accessLog(req, res, name) {
+        const start = process.hrtime.bigint();
+        res.on('close', () => {
+            this.meters.requests.inc({site: name, status: res.statusCode});
+            if (res.locals.bytes) this.meters.bytes.inc({site: name}, res.locals.bytes);
+            this.siteLog(name).access({
+                time: new Date().toISOString(),
+                client: MultiSite.PlainAddress(req.socket.remoteAddress),
+                host: req.headers.host,
+                method: req.method,
+                url: req.originalUrl,
+                status: res.statusCode,
+                replica: res.locals.replica,
+                bytes: res.locals.bytes ?? (Number(res.getHeader('content-length')) || 0),
+                ms: Number(process.hrtime.bigint() - start) / 1e6,
+                referer: req.headers.referer,
+                userAgent: req.headers['user-agent'],
+                completed: res.writableFinished
+            });
+        });
+    }
+    // Minutes without traffic after which a site hibernates: the manifest's idleTimeout, else
+    // options.idleTimeout. false keeps the site running and exempt from maxRunning eviction.
+    idleTimeout(entry) {
+        return entry?.idleTimeout ?? this.options.idleTimeout;
+    }
+    checkIdle() {
+        const now = Date.now();
+        for (const site of Object.values(this.sites)) {
+            if (site.peers.length) this.shrink(site);
+            const minutes = this.idleTimeout(site.manifest);
+            if (!minutes || site.status !== 'running' || this.inFlight(site) > 0) continue;
+            if (now - site.lastActive >= minutes * 60000) this.hibernate(site);
+        }
+    }
+    // Stop a running site but keep it listed; the next request starts it again
+    hibernate(site) {
+        if (site.status !== 'running') return site.hibernating;
+        console.log(`${site.name}: hibernating`);
+        // Out of rotation before the processes get SIGTERM; new requests wait for wake() instead
+        for (const instance of [site, ...site.peers]) instance.status = 'hibernating';
+        site.hibernating = (async () => {
+            // Requests that arrived since the idle check finish first, as when scaling down
+            await Promise.all([site, ...site.peers].map(async (instance) => {
+                instance.halt();
+                await instance.drain((this.options.drainTimeout || DRAIN_TIMEOUT) * 1000);
+                await this.retire(instance);
+            }));
+            site.peers = [];
+            delete site.options.env.PORT;
+            site.stopping = false;
+            site.status = 'hibernating';
+            site.hibernating = undefined;
+        })();
+        return site.hibernating;
+    }
+    // Start a hibernating site again. Resolves false if options.maxRunning leaves no room for it.
+    async wake(site) {
+        if (site.hibernating) await site.hibernating;
+        if (site.status !== 'hibernating') return true;
+        if (!this.makeRoom(site)) return false;
+        console.log(`${site.name}: waking from hibernation`);
+        site.spawn();
+        this.scale(site, site.manifest?.replicas.min || 1);
+        return true;
+    }
+    // With options.maxRunning, hibernate the least recently used idle sites to make room for one
+    // more. Returns false if too many of the running sites are busy or exempt.
+    makeRoom(site) {
+        const max = this.options.maxRunning;
+        if (!max) return true;
+        const running = Object.values(this.sites)
+            .filter(other => other !== site && ['starting', 'running', 'restarting'].includes(other.status) && !other.hibernating);
+        const excess = running.length - max + 1;
+        if (excess <= 0) return true;
+        const idle = running
+            .filter(other => other.status === 'running' && this.inFlight(other) === 0 && this.idleTimeout(other.manifest) !== false)
+            .sort((a, b) => a.lastActive - b.lastActive);
+        if (idle.length < excess) {
+            console.error(`No room to start ${site?.name || 'a site'}: ${running.length} sites running`);
+            return false;
+        }
+        for (const other of idle.slice(0, excess)) this.hibernate(other);
+        return true;
+    }
+    // Status of every site, including restart counts
+    siteStatus() {
+        return Object.values(this.sites).map(site => this.status(site));
+    }
+    status(site) {
+        return {...site.describe(), replicas: site.peers.map(peer => peer.describe())};
+    }
 
-            // Remove from used ports
-            this.usedPorts.delete(oldSite.options.env.PORT);
+    // Blue/green restart: start a second instance on its own port, switch routing to it once it is
+    // ready, let requests in flight on the old instance finish (up to options.drainTimeout seconds)
+    // and then stop it. Replicas are replaced the same way one at a time. If a new instance does not
+    // come up the old one keeps serving and this throws. A site that is down, or pinned to a port by
+    // its manifest, is simply started again.
+    async restartSite(domain) {
+        if (this.restarting.has(domain)) throw new Error(`${domain} is already restarting`);
+        this.restarting.add(domain);
+        try {
+            const oldSite = this.sites[domain];
+            const entry = this.manifest[domain];
+            if (!oldSite || oldSite.status !== 'running' || entry?.port) {
+                if (oldSite) await Promise.all([oldSite, ...oldSite.peers].map(instance => this.retire(instance)));
+                this.sites[domain] = this.createSite(domain);
+                if (oldSite) this.sites[domain].restarts = oldSite.restarts;
+                console.log(`Restarted site for domain: ${domain}`);
+                return this.sites[domain];
+            }
+            const newSite = entry ? Site.FromManifest(entry, this) : Site.Clone(domain, this);
+            newSite.restarts = oldSite.restarts;
+            await this.replace(oldSite, newSite);
+            newSite.peers = oldSite.peers;
+            oldSite.peers = [];
+            this.sites[domain] = newSite;
+            await this.retireDrained(oldSite);
+            for (const [i, oldPeer] of newSite.peers.entries()) {
+                const newPeer = Site.Replica(newSite, oldPeer.replica);
+                newPeer.spawn();
+                newPeer.restarts = oldPeer.restarts;
+                await this.replace(oldPeer, newPeer);
+                newSite.peers[i] = newPeer;
+                await this.retireDrained(oldPeer);
+            }
+            console.log(`Restarted site for domain: ${domain}`);
+            return newSite;
+        } finally {
+            this.restarting.delete(domain);
+        }
+    }
+    // Wait for a new instance to be ready to take over from an old one, or give up on it
+    async replace(oldSite, newSite) {
+        const startTimeout = newSite.manifest?.startTimeout || START_TIMEOUT;
+        if (!(await newSite.whenReady((startTimeout + 5) * 1000))) {
+            await this.retire(newSite);
+            throw new Error(`${newSite.label}: new instance did not start, the running one was kept`);
         }
+        console.log(`${newSite.label}: switched to new instance on port ${newSite.options.env.PORT}, draining the old one`);
+    }
+    async retireDrained(site) {
+        site.halt();
+        const drained = await site.drain((this.options.drainTimeout || DRAIN_TIMEOUT) * 1000);
+        if (!drained) console.log(`${site.label}: stopping old instance with ${site.active} requests still open`);
+        await this.retire(site);
+    }
+    // Status and control of sites, mounted at /_multisite behind adminAuth
+    adminRoutes() {
+        const router = express.Router();
 
-        // Create new site
-        this.sites[domain] = Site.Clone(domain, this);
-        console.log(`Restarted site for domain: ${domain}`);
+        router.get('/metrics', this.metrics.handler);
+        router.get('/sites', (req, res) => {
+            res.json(this.siteStatus());
+        });
+        router.post('/sites', express.json(), (req, res) => {
+            if (typeof req.body?.name !== 'string') return res.status(400).json({error: 'name must be a hostname'});
+            const domain = Site.WashName(req.body.name);
+            if (this.sites[domain] || this.manifest[domain]) return res.status(409).json({error: `${domain} already exists`});
+            try {
+                res.status(201).json(this.status(this.addSite(req.body)));
+            } catch (error) {
+                res.status(400).json({error: error.message});
+            }
+        });
+        router.get('/sites/:name', (req, res) => {
+            const site = this.sites[Site.WashName(req.params.name)];
+            if (!site) return res.status(404).json({error: `no site ${req.params.name}`});
+            res.json(this.status(site));
+        });
+        router.delete('/sites/:name', async (req, res) => {
+            const domain = Site.WashName(req.params.name);
+            if (!this.sites[domain] && !this.manifest[domain]) return res.status(404).json({error: `no site ${domain}`});
+            try {
+                await this.removeSite(domain);
+                res.status(204).end();
+            } catch (error) {
+                res.status(409).json({error: error.message});
+            }
+        });
+        router.post('/sites/:name/start', async (req, res) => {
+            const domain = Site.WashName(req.params.name);
+            if (!this.sites[domain] && !this.manifest[domain]) return res.status(404).json({error: `no site ${domain}`});
+            if (this.restarting.has(domain)) return res.status(409).json({error: `${domain} is already restarting`});
+            try {
+                if (!(await this.startSite(domain))) return res.status(503).json({error: `no room to start ${domain}`});
+                res.json(this.status(this.sites[domain]));
+            } catch (error) {
+                res.status(500).json({error: error.message});
+            }
+        });
+        router.post('/sites/:name/stop', async (req, res) => {
+            const domain = Site.WashName(req.params.name);
+            if (!this.sites[domain]) return res.status(404).json({error: `no site ${domain}`});
+            if (this.restarting.has(domain)) return res.status(409).json({error: `${domain} is restarting`});
+            await this.haltSite(domain);
+            res.json(this.status(this.sites[domain]));
+        });
+        router.post('/sites/:name/restart', async (req, res) => {
+            const domain = Site.WashName(req.params.name);
+            if (!this.sites[domain] && !this.manifest[domain]) return res.status(404).json({error: `no site ${domain}`});
+            if (this.restarting.has(domain)) return res.status(409).json({error: `${domain} is already restarting`});
+            try {
+                const site = await this.restartSite(domain);
+                res.json(site.describe());
+            } catch (error) {
+                res.status(500).json({error: error.message});
+            }
+        });
+        router.get('/sites/:name/logs', (req, res) => {
+            const domain = Site.WashName(req.params.name);
+            if (!this.logs.has(domain)) return res.status(404).json({error: `no logs for ${domain}`});
+            const lines = Math.min(parseInt(req.query.lines) || 100, 10000);
+            res.json(this.siteLog(domain).tail(lines, req.query.stream));
+        });
+        router.get('/sites/:name/logs/files', (req, res) => {
+            const domain = Site.WashName(req.params.name);
+            if (!this.logs.has(domain)) return res.status(404).json({error: `no logs for ${domain}`});
+            res.json(this.siteLog(domain).list());
+        });
+        router.get('/sites/:name/logs/files/:file', (req, res) => {
+            const domain = Site.WashName(req.params.name);
+            const path = this.logs.get(domain)?.path(req.params.file);
+            if (!path) return res.status(404).json({error: `no log file ${req.params.file} for ${domain}`});
+            res.download(path, `${domain}-${req.params.file}`);
+        });
+        return router;
     }
 
     removeDeadSites() {
         Object.keys(this.sites).forEach(domain => {
             const site = this.sites[domain];
             if (site.proc && site.proc.killed) {
-                this.usedPorts.delete(site.options.env.PORT);
+                this.ports.release(site.options.env.PORT);
                 delete this.sites[domain];
                 console.log(`Removed dead site: ${domain}`);
             }
@@ -212,142 +665,501 @@ export class MultiSite {
     static async attach(app,options) {
         const instance = new MultiSite(app,options);
         instance.config = new Config();
+        instance.ports = new PortAllocator(instance.config, instance.portOptions).load();
 
-        // spawn declared sites
-        if (fs.existsSync(resolve('./sites'))) {
-            instance.sites = (fs.readdirSync(resolve('./sites'))).reduce((result,hostName)=>{
-                const domainName = Site.WashName(hostName);
-                const options = {
-                    cwd: resolve(`./sites/${hostName}`),
-                    env: {PORT:instance.spawnPort,meta:instance.options}
-                };
-                result[domainName] = Site.Spawn(domainName,options,instance);
-                return result;
-            },{});
+        // spawn declared sites, except those that hibernate until their first request and any beyond
+        // options.maxRunning. An invalid manifest stops startup here.
+        instance.setManifest(instance.loadManifest());
+        let running = 0;
+        for (const entry of Object.values(instance.manifest)) {
+            const start = !instance.idleTimeout(entry) && !(instance.options.maxRunning <= running);
+            instance.sites[entry.name] = instance.createSite(entry.name, start);
+            if (start) running++;
+        }
+        instance.idleTimer = setInterval(() => instance.checkIdle(), IDLE_CHECK * 1000);
+        instance.idleTimer.unref();
+        instance.limitTimer = setInterval(() => instance.checkLimits(), (instance.options.limitInterval || LIMIT_CHECK) * 1000);
+        instance.limitTimer.unref();
+        if (instance.options.manifest && instance.options.watchManifest) instance.watchManifest();
+        const auth = adminAuth(instance.options);
+        if (auth) {
+            // The dashboard page holds no data, so it is served without auth; it calls the API with the admin token
+            app.get('/_multisite', (req, res) => res.sendFile(DASHBOARD));
+            app.use('/_multisite',auth,instance.adminRoutes());
         }
+        // Scrape endpoint without auth, for Prometheus on a trusted network. It takes the path on every host.
+        if (instance.options.metricsPath) app.get(instance.options.metricsPath, instance.metrics.handler);
         app.use('/',instance.routes());
         return instance;
     }
+    // Collect site declarations: every folder in ./sites (options.sitesDir), optionally described by
+    // its own site.json, and the sites of the options.manifest file. Throws on the first invalid entry.
+    loadManifest() {
+        const manifest = {};
+        const add = (entry, source) => {
+            const site = Site.Validate(entry, source);
+            if (manifest[site.name]) throw new Error(`${source}: site "${site.name}" is already declared`);
+            manifest[site.name] = site;
+        };
+        const sitesDir = resolve(this.options.sitesDir || './sites');
+        if (fs.existsSync(sitesDir)) {
+            for (const dir of fs.readdirSync(sitesDir)) {
+                const cwd = join(sitesDir, dir);
+                if (!fs.statSync(cwd).isDirectory()) continue;
+                const file = join(cwd, 'site.json');
+                const declared = fs.existsSync(file) ? MultiSite.ReadJSON(file) : {};
+                add({name: dir, mode: 'standalone', cwd, ...declared}, fs.existsSync(file) ? file : cwd);
+            }
+        }
+        if (this.options.manifest) {
+            const file = resolve(this.options.manifest);
+            const data = MultiSite.ReadJSON(file);
+            for (const [name, entry] of Object.entries(data.sites || {})) add({name, ...entry}, file);
+        }
+        // Sites added through the admin API, unless a file now declares the same name
+        for (const [name, entry] of Object.entries(this.added)) {
+            if (manifest[name]) {
+                console.log(`${name}: now declared in the manifest, replacing the site added at runtime`);
+                delete this.added[name];
+            } else {
+                manifest[name] = entry;
+            }
+        }
+        MultiSite.CheckManifest(manifest);
+        return manifest;
+    }
+    // Checks across entries: paths name declared sites, at most one site is the default, and every
+    // alias, wildcard and redirect host belongs to one site only and is not another site's name
+    static CheckManifest(manifest) {
+        const entries = Object.values(manifest);
+        const claims = new Map(); // host => site that declares it
+        for (const entry of entries) {
+            for (const [kind, hosts] of [['alias', entry.aliases], ['redirect', entry.redirects]]) {
+                for (const host of hosts) {
+                    if (manifest[host]) throw new Error(`site "${entry.name}": ${kind} "${host}" is the name of a declared site`);
+                    if (claims.has(host) && claims.get(host) !== entry.name) {
+                        throw new Error(`site "${entry.name}": ${kind} "${host}" is already claimed by site "${claims.get(host)}"`);
+                    }
+                    if (claims.has(host)) throw new Error(`site "${entry.name}": "${host}" is declared more than once`);
+                    claims.set(host, entry.name);
+                }
+            }
+            for (const target of Object.values(entry.paths)) {
+                if (!manifest[target]) throw new Error(`site "${entry.name}": paths refer to undeclared site "${target}"`);
+            }
+        }
+        if (entries.filter(entry => entry.default).length > 1) {
+            throw new Error(`only one site can be the default: ${entries.filter(entry => entry.default).map(entry => entry.name).join(', ')}`);
+        }
+    }
+    static ReadJSON(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            throw new Error(`${file}: ${e.message}`);
+        }
+    }
+    setManifest(manifest) {
+        this.manifest = manifest;
+        this.aliases = {};
+        this.wildcards = [];
+        this.redirects = {};
+        this.defaultSite = this.options.defaultSite;
+        for (const entry of Object.values(manifest)) {
+            for (const alias of entry.aliases) {
+                if (alias.startsWith('*.')) this.wildcards.push({suffix: alias.slice(1), name: entry.name});
+                else this.aliases[alias] = entry.name;
+            }
+            for (const host of entry.redirects) this.redirects[host] = entry.name;
+            if (entry.default) this.defaultSite = entry.name;
+        }
+        this.wildcards.sort((a, b) => b.suffix.length - a.suffix.length);
+    }
+    // Decide which site serves a request: exact name, alias, wildcard alias, then the default site.
+    // A path prefix declared in the matched site's paths can hand the request to another site.
+    // Returns {name} or {redirect: canonical hostname}; name is undefined when nothing matches.
+    route(hostname, path = '/') {
+        if (this.redirects[hostname]) return {redirect: this.redirects[hostname]};
+        let name = this.sites[hostname] || this.manifest[hostname] ? hostname
+            : this.aliases[hostname] || this.wildcards.find(wildcard => hostname.endsWith(wildcard.suffix))?.name;
+        if (!name && this.defaultSite) name = this.defaultSite;
+        const paths = this.manifest[name]?.paths || {};
+        const prefix = Object.keys(paths)
+            .filter(prefix => path === prefix || path.startsWith(prefix.endsWith('/') ? prefix : prefix + '/'))
+            .sort((a, b) => b.length - a.length)[0];
+        return {name: prefix ? paths[prefix] : name || hostname || undefined};
+    }
+    // Apply manifest changes without restarting the proxy: new sites start, removed sites stop and
+    // changed sites restart. If the new manifest is invalid nothing changes and the error is thrown.
+    async reloadManifest() {
+        const manifest = this.loadManifest();
+        const changed = Object.keys(this.manifest).filter(name =>
+            JSON.stringify(this.manifest[name]) !== JSON.stringify(manifest[name]));
+        await Promise.all(changed.map(name => this.stopSite(name)));
+        this.setManifest(manifest);
+        for (const entry of Object.values(manifest)) {
+            if (!this.sites[entry.name]) this.sites[entry.name] = this.createSite(entry.name, !this.idleTimeout(entry) && this.makeRoom());
+        }
+        console.log(`Manifest reloaded: ${Object.keys(manifest).length} sites, ${changed.length} stopped or changed`);
+    }
+    watchManifest() {
+        fs.watchFile(resolve(this.options.manifest), {persistent: false}, async (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) return;
+            try {
+                await this.reloadManifest();
+            } catch (error) {
+                console.error(`Manifest not reloaded: ${error.message}`);
+            }
+        });
+    }
+    // Stop a site's process and forget it. Resolves once the process has exited.
+    stopSite(domain) {
+        const site = this.sites[domain];
+        if (!site) return Promise.resolve();
+        delete this.sites[domain];
+        return Promise.all([site, ...site.peers].map(instance => this.retire(instance)));
+    }
+    // Declare a site at runtime from a manifest entry and start it (or leave it hibernating, as
+    // attach would). It lasts until removed, across manifest reloads, but not across proxy restarts.
+    addSite(entry) {
+        const site = Site.Validate(entry, 'admin');
+        if (this.manifest[site.name] || this.sites[site.name]) throw new Error(`site "${site.name}" already exists`);
+        const manifest = {...this.manifest, [site.name]: site};
+        MultiSite.CheckManifest(manifest);
+        this.added[site.name] = site;
+        this.setManifest(manifest);
+        const start = !this.idleTimeout(site) && this.makeRoom();
+        this.sites[site.name] = this.createSite(site.name, start);
+        console.log(`Added site ${site.name}`);
+        return this.sites[site.name];
+    }
+    // Stop a site and take it out of the manifest. A site declared in a manifest file or sites
+    // folder comes back when the manifest is next reloaded.
+    async removeSite(domain) {
+        const referrers = Object.values(this.manifest).filter(entry => entry.name !== domain && Object.values(entry.paths).includes(domain));
+        if (referrers.length) throw new Error(`${domain} is the target of paths in ${referrers.map(entry => entry.name).join(', ')}`);
+        const manifest = {...this.manifest};
+        delete manifest[domain];
+        delete this.added[domain];
+        this.setManifest(manifest);
+        await this.stopSite(domain);
+        console.log(`Removed site ${domain}`);
+    }
+    // Start a site that is stopped, parked or hibernating, or a declared site that is not listed.
+    // Resolves false if options.maxRunning leaves no room for it.
+    async startSite(domain) {
+        const site = this.sites[domain];
+        if (site && ['starting', 'running', 'restarting'].includes(site.status) && !site.hibernating) return true;
+        if (site?.hibernating || site?.status === 'hibernating') return this.wake(site);
+        if (!this.makeRoom(site)) return false;
+        if (site) await this.restartSite(domain);
+        else this.sites[domain] = this.createSite(domain);
+        return true;
+    }
+    // Stop a site but keep it listed. It answers with the maintenance page until startSite().
+    async haltSite(domain) {
+        const site = this.sites[domain];
+        if (!site) return;
+        if (site.hibernating) await site.hibernating;
+        await Promise.all([site, ...site.peers].map(instance => this.retire(instance)));
+        site.peers = [];
+        delete site.options.env.PORT;
+        site.status = 'stopped';
+        console.log(`${domain}: stopped`);
+    }
     
     routes() {
         const router = express.Router();
 
         router.all(/.*/, async (req, res) => {
-            const domain = Site.WashName(req.hostname);
+            const route = this.route(Site.WashName(req.hostname), req.path);
+            if (route.redirect) return res.redirect(301, `${req.protocol}://${route.redirect}${req.originalUrl}`);
+            const domain = route.name;
             const site = this.sites[domain];
-            if (site) {
-                let target = `http://127.0.0.1:${site.options.env.PORT}${req.url}`;
-                const method = req.method;
-                const isBodyMethod = ['POST', 'PUT', 'PATCH'].includes(method);
-                const payload = isBodyMethod ? req.body : null;
-                const clientIP = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for'];
-
-                // Debug logging for POST requests
-                if (method === 'POST') {
-                    console.log(`[Proxy] ${method} ${target}`);
-                    console.log(`[Proxy] Request body:`, req.body);
-                    console.log(`[Proxy] Payload:`, payload);
+            // Only sites that exist are logged, so stray Host headers leave no logs behind
+            if (site) this.accessLog(req, res, domain);
+            // Requests for hosts that are not sites are counted under one label, however many hosts there are
+            if (!domain) {
+                this.meters.requests.inc({site: 'unknown', status: 404});
+                res.status(404).send(MultiSite.ErrorPage(404, 'No site is configured for this address.'));
+            } else if (['parked', 'stopped'].includes(site?.status) && !this.available(site).length) {
+                res.set('Retry-After', '300');
+                if (this.options.maintenancePage) res.status(503).sendFile(resolve(this.options.maintenancePage));
+                else res.status(503).send(MultiSite.ErrorPage(503, `${domain} is down for maintenance. Please try again later.`));
+            } else if (site) {
+                return this.forwardWhenReady(req, res, site);
+            } else {
+                // Concurrent first requests for a host share one check and one spawn
+                let check = this.spawning.get(domain);
+                if (!check) {
+                    check = this.spawnRefusal(domain, req).finally(() => this.spawning.delete(domain));
+                    this.spawning.set(domain, check);
                 }
-
-                const headersToForward = {
-                    ...req.headers,
-                    'content-length': undefined // Let Axios compute
-                };
-
-
-                try {
-                    // Determine if this is a binary file request
-                    const isBinaryRequest = /\.(woff2?|ttf|eot|otf|ico|png|jpe?g|gif|svg|pdf|zip|exe)(\?.*)?$/i.test(req.url);
-
-                    if (isBinaryRequest) {
-                        // Use streaming for binary files to avoid corruption
-                        const response = await axios({
-                            method,
-                            url: target,
-                            headers: headersToForward,
-                            data: payload,
-                            // Don't pass params - req.url already contains query string
-                            validateStatus: () => true,
-                            timeout: 30000,
-                            responseType: 'stream'
-                        });
-
-                        console.log(`${response.status} ${target} (binary stream)`);
-
-                        // Set headers without the problematic ones
-                        const cleanHeaders = {...response.headers};
-                        delete cleanHeaders['transfer-encoding'];
-                        delete cleanHeaders['content-encoding'];
-
-                        res.status(response.status).set(cleanHeaders);
-                        response.data.pipe(res);
-                    } else {
-                        // Keep existing text/json handling
-                        const response = await axios({
-                            method,
-                            url: target,
-                            headers: headersToForward,
-                            data: payload,
-                            // Don't pass params - req.url already contains query string
-                            validateStatus: () => true,
-                            timeout: 30000,
-                            responseType: 'text'
-                        });
-
-                        console.log(`${response.status} ${target}`);
-
-                        const cleanHeaders = {...response.headers};
-                        delete cleanHeaders['transfer-encoding'];
-                        delete cleanHeaders['content-encoding'];
-
-                        res.status(response.status).set(cleanHeaders).send(response.data);
-                    }
-                } catch (error) {
-                    // Rate limit error logging to prevent spam
-                    if (this.shouldLogError(target, clientIP)) {
-                        const logEntry = this.errorLogTracker.get(`${clientIP}:${target}`);
-                        if (logEntry && logEntry.count > 1) {
-                            console.error(`${clientIP}:E: [Proxy] Error connecting to ${target}: ${error.message} (${logEntry.count} times)`);
-                        } else {
-                            console.error(`${clientIP}:E: [Proxy] Error connecting to ${target}: ${error.message}`);
-                        }
+                const refusal = await check;
+                if (refusal) {
+                    this.meters.requests.inc({site: 'unknown', status: refusal.status});
+                    if (refusal.retryAfter) res.set('Retry-After', String(refusal.retryAfter));
+                    return res.status(refusal.status).send(MultiSite.ErrorPage(refusal.status, refusal.message));
+                }
+                if (!this.sites[domain]) {
+                    if (!this.makeRoom()) {
+                        this.meters.requests.inc({site: 'unknown', status: 503});
+                        res.set('Retry-After', '60');
+                        return res.status(503).send(MultiSite.ErrorPage(503, 'This server is at capacity. Try again later.'));
                     }
-
-                    // // Clean up dead processes
-                    // this.removeDeadSites();
-                    //
-                    // // Try to respawn the site if it's down
-                    // if (error.code === 'ECONNREFUSED') {
-                    //     console.log(`[Proxy] Attempting to respawn site for ${domain}`);
-                    //     this.sites[domain] = Site.Clone(domain, this);
-                    //     return res.status(503).send('Service temporarily unavailable. Please try again in a few seconds.');
-                    // }
-
-                    res.status(502).send('Bad Gateway. Try reloading.');
+                    this.sites[domain] = this.createSite(domain);
                 }
-            } else {
-                // Check if already spawning to prevent race condition
-                if (this.spawning.has(domain)) {
-                    // Site is already being spawned, wait for it
-                    setTimeout(() => {
-                        res.redirect(`//${req.hostname}${req.url}`);
-                    }, 2000);
+                this.accessLog(req, res, domain);
+                return this.forwardWhenReady(req, res, this.sites[domain]);
+            }
+        });
+        return router;
+    }
+    // Hold a request until its site is ready, then proxy it. Requests wait in a queue of at most
+    // options.queueLimit per site for up to options.queueTimeout seconds, and get a 503 with
+    // Retry-After when the queue is full or the site fails to start.
+    async forwardWhenReady(req, res, site) {
+        site.lastActive = Date.now();
+        this.autoscale(site);
+        const instance = this.pick(site, req);
+        if (instance) return this.proxyRequest(req, res, instance);
+        if (!(await this.wake(site))) {
+            res.set('Retry-After', '60');
+            return res.status(503).send(MultiSite.ErrorPage(503, 'This server is at capacity. Try again later.'));
+        }
+        if (site.waiting.size >= (this.options.queueLimit || QUEUE_LIMIT)) {
+            res.set('Retry-After', '5');
+            return res.status(503).send(MultiSite.ErrorPage(503, `${site.name} is starting. Please try again in a moment.`));
+        }
+        const ready = await site.whenReady((this.options.queueTimeout || QUEUE_TIMEOUT) * 1000);
+        // The client may have given up while waiting
+        if (req.socket.destroyed) return;
+        if (ready) return this.proxyRequest(req, res, this.pick(site, req) || site);
+        const retryAfter = site.status === 'restarting' ? Math.ceil((site.restartAt - Date.now()) / 1000) : 30;
+        res.set('Retry-After', String(Math.max(1, retryAfter)));
+        res.status(503).send(MultiSite.ErrorPage(503, `${site.name} could not be started. Please try again later.`));
+    }
+    // Decide whether an unknown host may be spawned on demand. Declared sites always may; others need
+    // spawn=true in the [multisite] section of their epistery config or approval from options.verifyHost(hostname, req), and
+    // are subject to the maxSites cap and a per-client spawn rate. Returns {status, message} to refuse.
+    async spawnRefusal(domain, req) {
+        if (this.manifest[domain]) return undefined;
+        if (!Site.IsHostname(domain)) return {status: 421, message: `${domain} is not served here.`};
+        const clientIP = MultiSite.PlainAddress(req.socket.remoteAddress);
+        if (!this.allowSpawnAttempt(clientIP)) {
+            return {status: 429, message: 'Too many new sites requested. Try again later.', retryAfter: (this.options.spawnRate || SPAWN_RATE).window};
+        }
+        let allowed = this.spawnEnabled(domain);
+        if (!allowed && this.options.verifyHost) {
+            try {
+                allowed = !!(await this.options.verifyHost(domain, req));
+            } catch (error) {
+                console.error(`verifyHost failed for ${domain}: ${error.message}`);
+            }
+        }
+        if (!allowed) return {status: 421, message: `${domain} is not served here.`};
+        if (Object.keys(this.sites).length >= (this.options.maxSites || MAX_SITES)) {
+            console.error(`Not spawning ${domain}: ${Object.keys(this.sites).length} sites already running`);
+            return {status: 503, message: 'This server is at capacity. Try again later.', retryAfter: 60};
+        }
+        return undefined;
+    }
+    // Set by the operator in the domain's epistery config as spawn=true in a [multisite] section. A domain
+    // folder alone is not enough: Certify and epistery create those for hostnames they are asked about.
+    spawnEnabled(domain) {
+        if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) || !this.config) return false;
+        this.config.setPath(`/${domain}`);
+        this.config.load();
+        const spawn = this.config.data.multisite?.spawn;
+        return spawn === true || spawn === 'true';
+    }
+    // Sliding window count of on-demand spawns per client
+    allowSpawnAttempt(clientIP) {
+        const {max, window} = this.options.spawnRate || SPAWN_RATE;
+        const now = Date.now();
+        const attempts = (this.spawnAttempts.get(clientIP) || []).filter(time => now - time < window * 1000);
+        if (attempts.length >= max) {
+            this.spawnAttempts.set(clientIP, attempts);
+            return false;
+        }
+        attempts.push(now);
+        this.spawnAttempts.set(clientIP, attempts);
+        if (this.spawnAttempts.size > 1000) {
+            for (const [ip, times] of this.spawnAttempts) {
+                if (now - times[times.length - 1] >= window * 1000) this.spawnAttempts.delete(ip);
+            }
+        }
+        return true;
+    }
+    static ErrorPage(status, message) {
+        const title = `${status} ${http.STATUS_CODES[status] || ''}`.trim();
+        message = String(message).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+        return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head>`
+            + `<body style="font-family:sans-serif;text-align:center;padding-top:10vh"><h1>${title}</h1><p>${message}</p></body></html>`;
+    }
+    // Stream the request to the site and its response back. Bodies are piped, never buffered,
+    // so large downloads, chunked responses and server-sent events pass through untouched.
+    proxyRequest(req, res, site) {
+        const target = `${site.url}${req.url}`;
+        const clientIP = req.ip || req.socket.remoteAddress;
+        const headers = this.forwardHeaders(req);
+        // A body parser in the host app may already have consumed the stream
+        const body = (req._body || req.readableEnded) ? MultiSite.SerializeBody(req) : undefined;
+        if (body !== undefined) headers['content-length'] = Buffer.byteLength(body);
+        const proxyReq = http.request({...site.address, method: req.method, path: req.url, headers, ...this.connectOptions(req)});
+        const timeout = setTimeout(() => proxyReq.destroy(new Error('timeout waiting for response')),
+            (this.options.proxyTimeout || PROXY_TIMEOUT) * 1000);
+        site.active++;
+
+        const started = process.hrtime.bigint();
+        proxyReq.on('response', (proxyRes) => {
+            clearTimeout(timeout);
+            this.meters.latency.observe({site: site.name}, Number(process.hrtime.bigint() - started) / 1e9);
+            console.log(`${proxyRes.statusCode} ${target}`);
+            const responseHeaders = MultiSite.StripHopByHop(proxyRes.headers);
+            const cookie = this.stickyCookie(req, site);
+            if (cookie) responseHeaders['set-cookie'] = [].concat(responseHeaders['set-cookie'] || [], cookie);
+            res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, responseHeaders);
+            res.locals.bytes = 0;
+            res.locals.replica = site.replica;
+            proxyRes.on('data', chunk => res.locals.bytes += chunk.length);
+            proxyRes.pipe(res);
+        });
+        proxyReq.on('error', (error) => {
+            clearTimeout(timeout);
+            if (!res.headersSent) this.meters.upstreamErrors.inc({site: site.name});
+            // Rate limit error logging to prevent spam
+            if (this.shouldLogError(target, clientIP)) {
+                const logEntry = this.errorLogTracker.get(`${clientIP}:${target}`);
+                if (logEntry && logEntry.count > 1) {
+                    console.error(`${clientIP}:E: [Proxy] Error connecting to ${target}: ${error.message} (${logEntry.count} times)`);
                 } else {
-                    // Mark as spawning
-                    this.spawning.add(domain);
-                    this.sites[domain] = Site.Clone(domain,this);
-                    // Remove from spawning set after spawn completes
-                    setTimeout(() => {
-                        this.spawning.delete(domain);
-                    }, 3000);
-                    // Retry the request after spawning
-                    setTimeout(() => {
-                        res.redirect(`//${req.hostname}${req.url}`);
-                    }, 2000);
+                    console.error(`${clientIP}:E: [Proxy] Error connecting to ${target}: ${error.message}`);
                 }
             }
+            if (!res.headersSent) res.status(502).send('Bad Gateway. Try reloading.');
+            else res.destroy();
         });
-        return router;
+        // Stop the upstream request if the client goes away
+        res.on('close', () => {
+            site.active--;
+            clearTimeout(timeout);
+            if (!res.writableFinished) proxyReq.destroy();
+        });
+
+        if (body !== undefined) proxyReq.end(body);
+        else req.pipe(proxyReq);
+    }
+    // Handler for the server's 'upgrade' event, e.g. server.on('upgrade', multiSite.upgrade).
+    // Forwards WebSocket and other HTTP upgrades to the site for the requested host.
+    get upgrade() {
+        return async (req, socket, head) => {
+            const hostname = Site.WashName((req.headers.host || '').replace(/:\d+$/, ''));
+            const site = this.sites[this.route(hostname, req.url.split('?')[0]).name];
+            if (!site) {
+                socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+                return;
+            }
+            site.lastActive = Date.now();
+            if (!(await this.wake(site)) || !(await site.whenReady((this.options.queueTimeout || QUEUE_TIMEOUT) * 1000))) {
+                socket.end('HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n\r\n');
+                return;
+            }
+            const instance = this.pick(site, req) || site;
+            const headers = this.forwardHeaders(req);
+            // Upgrade and Connection are hop-by-hop but are exactly what is being forwarded here
+            headers.connection = 'Upgrade';
+            headers.upgrade = req.headers.upgrade;
+            const proxyReq = http.request({...instance.address, method: req.method, path: req.url, headers, ...this.connectOptions(req)});
+            instance.active++;
+            socket.once('close', () => instance.active--);
+            socket.on('error', () => proxyReq.destroy());
+            proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+                socket.write(MultiSite.ResponseHead(proxyRes));
+                if (proxyHead?.length) socket.write(proxyHead);
+                if (head?.length) proxySocket.write(head);
+                proxySocket.on('error', () => socket.destroy());
+                socket.on('close', () => proxySocket.destroy());
+                proxySocket.on('close', () => socket.destroy());
+                proxySocket.pipe(socket).pipe(proxySocket);
+            });
+            // The site declined the upgrade with an ordinary response
+            proxyReq.on('response', (proxyRes) => {
+                socket.write(MultiSite.ResponseHead(proxyRes));
+                proxyRes.pipe(socket);
+            });
+            proxyReq.on('error', (error) => {
+                console.error(`[Proxy] Upgrade to ${site.name} failed: ${error.message}`);
+                socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n');
+            });
+            proxyReq.end();
+        };
+    }
+    // Request headers for the site: hop-by-hop headers removed, forwarding headers added. Forwarding
+    // headers from the client are only extended when options.trustProxy says a proxy sits in front.
+    forwardHeaders(req) {
+        const headers = MultiSite.StripHopByHop(req.headers);
+        const clientIP = MultiSite.PlainAddress(req.socket.remoteAddress);
+        const proto = req.socket.encrypted ? 'https' : 'http';
+        const host = req.headers.host;
+        const trusted = !!this.options.trustProxy;
+        const forIP = net.isIPv6(clientIP) ? `"[${clientIP}]"` : clientIP;
+        const forwarded = `for=${forIP};proto=${proto}${host ? `;host="${host}"` : ''}`;
+
+        headers['x-forwarded-for'] = trusted && req.headers['x-forwarded-for'] ? `${req.headers['x-forwarded-for']}, ${clientIP}` : clientIP;
+        headers['x-forwarded-proto'] = trusted && req.headers['x-forwarded-proto'] || proto;
+        if (host) headers['x-forwarded-host'] = trusted && req.headers['x-forwarded-host'] || host;
+        headers['forwarded'] = trusted && req.headers['forwarded'] ? `${req.headers['forwarded']}, ${forwarded}` : forwarded;
+        return headers;
+    }
+    // With options.proxyProtocol each connection to a site opens with a PROXY protocol v1 line
+    // carrying the client's address, so the site can see it at the socket level.
+    connectOptions(req) {
+        if (!this.options.proxyProtocol) return {};
+        // Without an agent each request gets its own connection, so each carries its own client's line
+        return {
+            createConnection: (options) => {
+                const socket = options.socketPath ? net.connect(options.socketPath) : net.connect(options.port, options.host);
+                socket.write(MultiSite.ProxyProtocolLine(req.socket));
+                return socket;
+            }
+        };
+    }
+    static ProxyProtocolLine(socket) {
+        const source = MultiSite.PlainAddress(socket.remoteAddress);
+        const destination = MultiSite.PlainAddress(socket.localAddress);
+        const family = net.isIPv4(source) && net.isIPv4(destination) ? 'TCP4'
+            : net.isIPv6(source) && net.isIPv6(destination) ? 'TCP6' : undefined;
+        if (!family) return 'PROXY UNKNOWN\r\n';
+        return `PROXY ${family} ${source} ${destination} ${socket.remotePort} ${socket.localPort}\r\n`;
+    }
+    // Drop hop-by-hop headers, including any the Connection header names
+    static StripHopByHop(headers) {
+        const result = {...headers};
+        const named = (headers.connection || '').split(',').map(name => name.trim().toLowerCase());
+        for (const name of HOP_BY_HOP.concat(named)) delete result[name];
+        return result;
+    }
+    // IPv4 clients on a dual stack socket show up as ::ffff:1.2.3.4
+    static PlainAddress(address = '') {
+        return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+    }
+    static ResponseHead(response) {
+        const lines = [`HTTP/1.1 ${response.statusCode} ${response.statusMessage}`];
+        for (let i = 0; i < response.rawHeaders.length; i += 2) {
+            lines.push(`${response.rawHeaders[i]}: ${response.rawHeaders[i + 1]}`);
+        }
+        return lines.join('\r\n') + '\r\n\r\n';
+    }
+    // Re-encode a body that was already parsed by the host app
+    static SerializeBody(req) {
+        const body = req.body;
+        if (body === undefined || body === null) return '';
+        if (Buffer.isBuffer(body) || typeof body === 'string') return body;
+        if ((req.headers['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+            return new URLSearchParams(body).toString();
+        }
+        return JSON.stringify(body);
     }
 }
 export class Site {
@@ -355,6 +1167,15 @@ export class Site {
         this.name = name;
         this.options = options;
         this.parent = parent;
+        this.status = 'stopped'; // starting, running, restarting, parked, hibernating or stopped
+        this.restarts = 0; // automatic restarts by the supervisor
+        this.crashes = []; // times of recent unexpected exits
+        this.stopping = false; // set when the process is stopped on purpose
+        this.waiting = new Set(); // requests held until the site is ready
+        this.active = 0; // proxied requests and upgraded connections in flight
+        this.replica = 0; // 0 for a site's first instance, 1.. for its replicas
+        this.peers = []; // replicas beside the first instance
+        this.healthy = true; // false while the health check answers 5xx
         try {
             const envars = JSON.parse(process.env.SITE_ENV||'{}');
             Object.assign(this.options.env,envars[this.name]||{});
@@ -367,69 +1188,349 @@ export class Site {
         instance.spawn();
         return instance;
     }
-    static Clone(name, multisite) {
-        const options = {
-            cwd: process.cwd(),
-            env: {PORT:multisite.spawnPort,meta:multisite.options}
+    static FromManifest(entry, multisite, start = true) {
+        const options = Site.ProcessOptions(entry, multisite, entry.cwd);
+        const instance = new Site(entry.name, options, multisite);
+        instance.manifest = entry;
+        if (start) instance.spawn();
+        else instance.status = 'hibernating';
+        return instance;
+    }
+    // Spawn options for a site's process. The environment holds only the proxy's variables named by
+    // inheritEnv, the declared env and a heap cap from limits.heap; uid and gid run it as another user.
+    static ProcessOptions(entry, multisite, cwd) {
+        const names = entry?.inheritEnv || multisite.options.inheritEnv || INHERIT_ENV;
+        const env = Object.fromEntries(names.filter(name => process.env[name] !== undefined).map(name => [name, process.env[name]]));
+        Object.assign(env, {meta:multisite.options}, entry?.env);
+        const heap = (entry?.limits || multisite.options.limits)?.heap;
+        if (heap) env.NODE_OPTIONS = [env.NODE_OPTIONS, `--max-old-space-size=${heap}`].filter(Boolean).join(' ');
+        const options = {cwd, env};
+        const uid = entry?.uid ?? multisite.options.uid;
+        const gid = entry?.gid ?? multisite.options.gid;
+        if (uid !== undefined) options.uid = uid;
+        if (gid !== undefined) options.gid = gid;
+        return options;
+    }
+    // Another instance of a site, run beside the first to share its load
+    static Replica(lead, index) {
+        const {PORT, ...env} = lead.options.env;
+        const instance = new Site(lead.name, {...lead.options, env}, lead.parent);
+        instance.manifest = lead.manifest;
+        instance.replica = index;
+        return instance;
+    }
+    // Check a manifest entry and fill in defaults. Errors name the source file and the site.
+    static Validate(entry, source) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw new Error(`${source}: site entry must be an object`);
+        const fail = (message) => {
+            throw new Error(`${source}: site "${entry.name}": ${message}`);
+        };
+        const unknown = Object.keys(entry).filter(key => !Site.Settings.includes(key));
+        if (unknown.length) fail(`unknown setting ${unknown.map(key => `"${key}"`).join(', ')}`);
+        const name = Site.WashName(entry.name);
+        if (!Site.IsHostname(name)) fail('name must be a hostname');
+        const mode = entry.mode || (entry.cwd ? 'standalone' : 'clone');
+        if (!['standalone', 'clone'].includes(mode)) fail('mode must be "standalone" or "clone"');
+        if (mode === 'standalone' && !entry.cwd) fail('a standalone site needs a cwd');
+        const cwd = mode === 'clone' ? process.cwd() : resolve(entry.cwd);
+        if (!fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) fail(`cwd ${cwd} is not a directory`);
+        const isHost = (host) => typeof host === 'string' && !!Site.WashName(host.replace(/^\*\./, ''));
+        const aliases = [].concat(entry.aliases || []);
+        if (!aliases.every(isHost)) fail('aliases must be hostnames or *.domain wildcards');
+        const redirects = [].concat(entry.redirects || []);
+        if (!redirects.every(host => isHost(host) && !host.startsWith('*.'))) fail('redirects must be hostnames');
+        const paths = entry.paths || {};
+        if (typeof paths !== 'object' || Array.isArray(paths)
+            || !Object.entries(paths).every(([prefix, target]) => prefix.startsWith('/') && typeof target === 'string')) {
+            fail('paths must map path prefixes to site names');
+        }
+        if (entry.default !== undefined && typeof entry.default !== 'boolean') fail('default must be true or false');
+        let command = entry.command || ['npm', 'run', 'start', name];
+        if (typeof command === 'string') command = command.split(/\s+/).filter(Boolean);
+        if (!Array.isArray(command) || !command.length || command.some(arg => typeof arg !== 'string')) {
+            fail('command must be a string or an array of strings');
+        }
+        const env = entry.env || {};
+        if (typeof env !== 'object' || Array.isArray(env)) fail('env must be an object');
+        if (entry.port !== undefined && !(Number.isInteger(entry.port) && entry.port > 0 && entry.port < 65536)) {
+            fail('port must be an integer from 1 to 65535');
+        }
+        const health = entry.health === undefined ? '/health' : entry.health;
+        if (health !== false && !(typeof health === 'string' && health.startsWith('/'))) fail('health must be a path or false');
+        const ready = entry.ready || 'port';
+        if (!['port', 'health'].includes(ready)) fail('ready must be "port" or "health"');
+        if (ready === 'health' && health === false) fail('ready:"health" needs a health path');
+        const startTimeout = entry.startTimeout === undefined ? START_TIMEOUT : entry.startTimeout;
+        let replicas = entry.replicas === undefined ? 1 : entry.replicas;
+        if (typeof replicas === 'number') replicas = {min: replicas, max: replicas};
+        if (!(replicas && Number.isInteger(replicas.min) && Number.isInteger(replicas.max) && replicas.min >= 1 && replicas.max >= replicas.min)) {
+            fail('replicas must be a count or {min, max} with 1 <= min <= max');
+        }
+        if (replicas.max > 1 && entry.port !== undefined) fail('a site with a fixed port cannot have replicas');
+        const balance = entry.balance || 'round-robin';
+        if (!['round-robin', 'least-connections'].includes(balance)) fail('balance must be "round-robin" or "least-connections"');
+        const sticky = entry.sticky === true ? STICKY_COOKIE : entry.sticky || false;
+        if (sticky !== false && !(typeof sticky === 'string' && /^[\w-]+$/.test(sticky))) fail('sticky must be true, false or a cookie name');
+        const limits = entry.limits;
+        if (limits !== undefined && !(limits && typeof limits === 'object' && !Array.isArray(limits)
+            && Object.entries(limits).every(([key, value]) => ['heap', 'rss', 'cpu'].includes(key) && typeof value === 'number' && value > 0))) {
+            fail('limits must be an object of positive heap, rss (MB) and cpu (percent) numbers');
+        }
+        for (const key of ['uid', 'gid']) {
+            if (entry[key] !== undefined && !(Number.isInteger(entry[key]) && entry[key] >= 0)) fail(`${key} must be a user or group id`);
+        }
+        const inheritEnv = entry.inheritEnv;
+        if (inheritEnv !== undefined && !(Array.isArray(inheritEnv) && inheritEnv.every(name => typeof name === 'string'))) {
+            fail('inheritEnv must be an array of variable names');
+        }
+        if (entry.idleTimeout !== undefined && entry.idleTimeout !== false && !(typeof entry.idleTimeout === 'number' && entry.idleTimeout > 0)) {
+            fail('idleTimeout must be a positive number of minutes or false');
+        }
+        if (!(typeof startTimeout === 'number' && startTimeout > 0)) fail('startTimeout must be a positive number of seconds');
+        return {
+            name,
+            mode,
+            cwd,
+            aliases: aliases.map(alias => alias.toLowerCase()),
+            redirects: redirects.map(host => Site.WashName(host)),
+            paths: Object.fromEntries(Object.entries(paths).map(([prefix, target]) => [prefix, Site.WashName(target)])),
+            default: !!entry.default,
+            command,
+            env,
+            port: entry.port,
+            health,
+            ready,
+            startTimeout,
+            idleTimeout: entry.idleTimeout,
+            replicas: {min: replicas.min, max: replicas.max},
+            balance,
+            sticky,
+            limits,
+            uid: entry.uid,
+            gid: entry.gid,
+            inheritEnv
         };
-        const instance = new Site(name,options);
+    }
+    static Settings = ['name', 'mode', 'cwd', 'aliases', 'redirects', 'paths', 'default', 'command', 'env', 'port', 'health', 'ready', 'startTimeout', 'idleTimeout', 'replicas', 'balance', 'sticky', 'limits', 'uid', 'gid', 'inheritEnv'];
+    static Clone(name, multisite) {
+        const options = Site.ProcessOptions(undefined, multisite, process.cwd());
+        const instance = new Site(name,options,multisite);
         instance.spawn();
         return instance;
     }
-    spawn() {
-        let commands = (['run', 'start', this.name]);
-        console.log(`Spawning site ${this.name} on port ${this.options.env.PORT}`);
+    async spawn() {
+        const [command, ...args] = this.manifest?.command || ['npm', 'run', 'start', this.name];
+        this.status = 'starting';
+        this.healthy = true;
+        if (this.options.env.PORT === undefined && this.parent) {
+            try {
+                const port = await this.parent.ports.allocate(this.label, this.manifest?.port, this);
+                if (this.stopping) return this.parent.ports.release(port);
+                this.options.env.PORT = port;
+            } catch (err) {
+                console.error(`${this.label}: ${err.message}`);
+                this.status = 'stopped';
+                this.settle(false);
+                return;
+            }
+        }
+        console.log(`Spawning site ${this.label} on port ${this.options.env.PORT}`);
 
         try {
-            this.proc = child_process.spawn('npm', commands, this.options);
+            const proc = this.proc = child_process.spawn(command, args, this.options);
 
-            this.proc.stdout.on('data', (data) => {
-                process.stdout.write(`${this.name}: ${data.toString()}`);
+            const log = this.parent?.siteLog(this.label);
+            const echo = this.parent?.options.logEcho !== false;
+            proc.stdout.on('data', (data) => {
+                if (echo) process.stdout.write(`${this.label}: ${data.toString()}`);
+                log?.write('out', data);
             });
 
-            this.proc.stderr.on('data', (data) => {
-                process.stdout.write(`${this.name}:E: ${data.toString()}`);
+            proc.stderr.on('data', (data) => {
+                if (echo) process.stdout.write(`${this.label}:E: ${data.toString()}`);
+                log?.write('err', data);
             });
 
-            this.proc.on('close', (code) => {
-                console.log(`${this.name}: process exited with code ${code}`);
+            // 'close' also follows an 'error' for a process that failed to start
+            proc.on('close', (code, signal) => {
+                console.log(`${this.label}: process exited with code ${code}${signal ? ` (${signal})` : ''}`);
+                log?.flush();
+                if (this.proc !== proc) return;
                 this.proc = null;
-
-                // Clear health check when process exits
-                if (this.healthCheckIntervals) {
-                    const intervalId = this.healthCheckIntervals.get(this.name);
-                    if (intervalId) {
-                        clearInterval(intervalId);
-                        this.healthCheckIntervals.delete(this.name);
-                    }
-                }
+                if (this.status === 'starting') this.settle(false);
+                this.parent?.stopHealthCheck(this);
+                if (this.parent) this.parent.siteExited(this, code, signal);
+                else this.status = 'stopped';
             });
 
-            this.proc.on('error', (err) => {
-                console.error(`${this.name}: Failed to start process:`, err);
-                this.proc = null;
+            proc.on('error', (err) => {
+                console.error(`${this.label}: Failed to start process:`, err);
             });
 
-            // Give the process time to start, then begin health checks
-            setTimeout(() => {
-                if (this.proc && !this.proc.killed) {
-                    console.log(`${this.name}: Successfully started on port ${this.options.env.PORT}`);
-
-                    // Start health monitoring after a delay to allow process to fully start
-                    if (this.startHealthCheck) {
-                        setTimeout(() => {
-                            if (this.proc && !this.proc.killed) {
-                                this.startHealthCheck(this);
-                            }
-                        }, 5000); // Wait 5 seconds before starting health checks
-                    }
+            // Wait for the process to be ready, then release held requests and begin health checks
+            const startTimeout = this.manifest?.startTimeout || START_TIMEOUT;
+            this.waitUntilReady(startTimeout * 1000).then((ready) => {
+                if (this.proc !== proc || proc.killed) return;
+                if (!ready) {
+                    console.error(`${this.label}: not ready on port ${this.options.env.PORT} after ${startTimeout} seconds`);
+                    proc.kill('SIGTERM');
+                    return;
+                }
+                console.log(`${this.label}: Successfully started on port ${this.options.env.PORT}`);
+                this.status = 'running';
+                this.startedAt = new Date().toISOString();
+                this.lastActive = Date.now();
+                this.settle(true);
+
+                // Start health monitoring after a delay to allow process to fully start
+                if (this.parent && this.manifest?.health !== false) {
+                    setTimeout(() => {
+                        if (this.proc === proc && !proc.killed) {
+                            this.parent.startHealthCheck(this);
+                        }
+                    }, 5000); // Wait 5 seconds before starting health checks
                 }
-            }, 1000);
+            });
 
         } catch (err) {
-            console.error(`${this.name}: Exception while spawning:`, err);
+            console.error(`${this.label}: Exception while spawning:`, err);
             this.proc = null;
+            this.settle(false);
+            if (this.parent) this.parent.siteExited(this, null, null);
+        }
+    }
+    // Ready means the port accepts connections, or with ready:"health" that the health path answers 2xx
+    async waitUntilReady(timeout) {
+        const deadline = Date.now() + timeout;
+        if (!(await this.waitUntilListening(timeout))) return false;
+        if (this.manifest?.ready !== 'health') return true;
+        const proc = this.proc;
+        while (Date.now() < deadline && this.proc === proc && proc) {
+            try {
+                await axios.get(`${this.url}${this.manifest.health}`, {socketPath: this.address.socketPath, timeout: 5000});
+                return true;
+            } catch (error) {
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
         }
+        return false;
+    }
+    // Resolves true once the site's port accepts connections, false if the process exits or time runs out
+    async waitUntilListening(timeout) {
+        const deadline = Date.now() + timeout;
+        const proc = this.proc;
+        while (Date.now() < deadline && this.proc === proc && proc) {
+            const open = await new Promise((resolve) => {
+                const socket = this.address.socketPath ? net.connect(this.address.socketPath) : net.connect(this.address.port, this.address.host);
+                socket.once('connect', () => { socket.destroy(); resolve(true); });
+                socket.once('error', () => resolve(false));
+            });
+            if (open) return true;
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        return false;
+    }
+    // The site name, with the replica number for replicas: example.com#2
+    get label() {
+        return this.replica ? `${this.name}#${this.replica}` : this.name;
+    }
+    // Where the site listens: a port on the loopback interface or a Unix domain socket
+    get address() {
+        const port = this.options.env.PORT;
+        return typeof port === 'string' && isNaN(port) ? {socketPath: port} : {host: '127.0.0.1', port: Number(port)};
+    }
+    get url() {
+        return this.address.socketPath ? 'http://localhost' : `http://127.0.0.1:${this.address.port}`;
+    }
+    // Resolves true when the site is ready to take requests, false if it fails to start in time
+    whenReady(timeout) {
+        if (this.status === 'running') return Promise.resolve(true);
+        if (!['starting', 'restarting'].includes(this.status)) return Promise.resolve(false);
+        return new Promise((resolve) => {
+            const waiter = (ready) => {
+                clearTimeout(timer);
+                this.waiting.delete(waiter);
+                resolve(ready);
+            };
+            const timer = setTimeout(() => waiter(false), timeout);
+            this.waiting.add(waiter);
+        });
+    }
+    settle(ready) {
+        for (const waiter of [...this.waiting]) waiter(ready);
+    }
+    // Mark the site as stopped on purpose so the supervisor leaves it down
+    halt() {
+        this.stopping = true;
+        this.settle(false);
+        clearTimeout(this.restartTimer);
+        this.restartTimer = undefined;
+    }
+    get limits() {
+        return this.manifest?.limits || this.parent?.options.limits;
+    }
+    // End the process without stopping the site, so the supervisor starts it again
+    terminate(reason) {
+        const proc = this.proc;
+        if (!proc || proc.exitCode !== null || proc.signalCode !== null) return;
+        console.error(`${this.label}: ${reason}, restarting`);
+        this.exitReason = reason;
+        proc.kill('SIGTERM');
+        setTimeout(() => {
+            if (proc.exitCode === null && proc.signalCode === null) proc.kill('SIGKILL');
+        }, 5000);
+    }
+    // Stop the process on purpose: SIGTERM, then SIGKILL after 5 seconds. Resolves once it has exited.
+    stop() {
+        this.halt();
+        const proc = this.proc;
+        if (!proc || proc.exitCode !== null || proc.signalCode !== null) return Promise.resolve();
+        return new Promise((resolve) => {
+            const timeout = setTimeout(() => {
+                proc.kill('SIGKILL');
+                resolve();
+            }, 5000);
+            // 'close' comes after the spawn handlers have seen the exit
+            proc.once('close', () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+            proc.kill('SIGTERM');
+        });
+    }
+    // Resolves true once no proxied requests are in flight, false if some remain after timeout
+    async drain(timeout) {
+        const deadline = Date.now() + timeout;
+        while (this.active > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return this.active === 0;
+    }
+    describe() {
+        return {
+            name: this.name,
+            replica: this.replica,
+            status: this.status,
+            healthy: this.healthy,
+            port: this.options.env.PORT,
+            pid: this.proc?.pid,
+            startedAt: this.startedAt,
+            uptime: this.status === 'running' ? Math.round((Date.now() - Date.parse(this.startedAt)) / 1000) : undefined,
+            lastActive: this.lastActive && new Date(this.lastActive).toISOString(),
+            usage: this.usage && this.proc?.pid === this.usage.pid ? {
+                rss: Math.round(this.usage.rss / MB),
+                cpu: this.usage.cpu,
+                cpuPercent: this.usage.cpuPercent === undefined ? undefined : Math.round(this.usage.cpuPercent),
+                processes: this.usage.processes
+            } : undefined,
+            restarts: this.restarts,
+            active: this.active,
+            recentCrashes: this.crashes.length,
+            lastExit: this.lastExit
+        };
+    }
+    static IsHostname(name) {
+        return /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/.test(name);
     }
     static WashName(hostName="") {
       if (!hostName || hostName.match(/^[\d]{1,3}\.[\d]{1,3}\.[\d]{1,3}\.[\d]{1,3}$/)) return "";
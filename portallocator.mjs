@@ -0,0 +1,116 @@
+/**
+ *  PortAllocator
+ *
+ *  Hands out the addresses MultiSite's sites listen on. A port is only given
+ *  out after probing that nothing is bound to it, released ports go back into
+ *  the pool, and each site's port is remembered in the root epistery config
+ *  [ports] section so the site gets the same one after a proxy restart. With
+ *  the sockets option sites listen on Unix domain sockets instead.
+ *
+ */
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import {join} from 'path';
+
+const PORT_RANGE = [53874, 54873];
+
+export class PortAllocator {
+    constructor(config, options) {
+        this.config = config;
+        this.options = options || {};
+        this.range = this.options.range || PORT_RANGE;
+        this.inUse = new Map(); // port or socket path => {name, owner}
+        this.assigned = {}; // site name => port, as persisted
+    }
+    load() {
+        if (!this.config || this.options.sockets) return this;
+        this.config.setPath('/');
+        this.config.load();
+        for (const [name, port] of Object.entries(this.config.data.ports || {})) {
+            if (parseInt(port)) this.assigned[name] = parseInt(port);
+        }
+        return this;
+    }
+    // Address for the named site. An explicit port is used as given; otherwise the site's previous
+    // port if it is still free, then the lowest free port in range that no other site remembers,
+    // then any free port in range. owner tells apart two instances of one site, as in a blue/green
+    // restart; the new instance gets a port of its own.
+    async allocate(name, port, owner = name) {
+        if (this.options.sockets) return this.allocateSocket(name, owner);
+        if (port) {
+            if (this.inUse.has(port) && this.inUse.get(port).owner !== owner) {
+                throw new Error(`Port ${port} for ${name} is already used by ${this.inUse.get(port).name}`);
+            }
+            return this.assign(name, port, owner);
+        }
+        if (this.assigned[name] && await this.claim(name, this.assigned[name], owner)) return this.assign(name, this.assigned[name], owner);
+        const remembered = new Set(Object.entries(this.assigned).filter(([other]) => other !== name).map(([, port]) => port));
+        for (const reuse of [false, true]) {
+            for (let port = this.range[0]; port <= this.range[1]; port++) {
+                if (!reuse && remembered.has(port)) continue;
+                if (await this.claim(name, port, owner)) return this.assign(name, port, owner);
+            }
+        }
+        throw new Error(`No free port in ${this.range[0]}-${this.range[1]} for ${name}`);
+    }
+    async allocateSocket(name, owner) {
+        const dir = this.options.socketDir || join(os.tmpdir(), 'multisite');
+        fs.mkdirSync(dir, {recursive: true, mode: 0o700});
+        // A second instance of a site gets a second socket
+        const base = join(dir, name.replace(/[^a-z0-9.-]+/gi, '_'));
+        let path = `${base}.sock`;
+        for (let n = 2; this.inUse.has(path) && this.inUse.get(path).owner !== owner; n++) path = `${base}-${n}.sock`;
+        // A socket file left behind by a process that is gone would make listen fail
+        if (fs.existsSync(path)) {
+            if (!(await PortAllocator.IsFree(path))) throw new Error(`Socket ${path} for ${name} is in use`);
+            fs.unlinkSync(path);
+        }
+        return this.assign(name, path, owner);
+    }
+    // Reserve the port before probing so concurrent allocations cannot both take it
+    async claim(name, port, owner) {
+        if (this.inUse.has(port)) return this.inUse.get(port).owner === owner;
+        this.inUse.set(port, {name, owner});
+        if (await PortAllocator.IsFree(port)) return true;
+        this.inUse.delete(port);
+        return false;
+    }
+    assign(name, address, owner) {
+        this.inUse.set(address, {name, owner});
+        if (typeof address === 'number' && this.assigned[name] !== address) {
+            this.assigned[name] = address;
+            this.save();
+        }
+        return address;
+    }
+    release(address) {
+        if (address === undefined) return;
+        this.inUse.delete(address);
+        if (typeof address === 'string' && fs.existsSync(address)) fs.unlinkSync(address);
+    }
+    save() {
+        if (!this.config) return;
+        this.config.setPath('/');
+        this.config.load();
+        this.config.data.ports = {...this.assigned};
+        this.config.save();
+    }
+    // A port is free if it can be listened on; a socket path is free if nothing answers on it
+    static IsFree(address) {
+        return new Promise((resolve) => {
+            if (typeof address === 'string') {
+                const socket = net.connect(address);
+                socket.once('connect', () => {
+                    socket.destroy();
+                    resolve(false);
+                });
+                socket.once('error', () => resolve(true));
+                return;
+            }
+            const server = net.createServer();
+            server.once('error', () => resolve(false));
+            server.listen(address, () => server.close(() => resolve(true)));
+        });
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ *  processUsage
+ *
+ *  Memory and CPU time of processes together with all their descendants, read
+ *  from /proc. A site started with `npm run start` runs node two processes
+ *  down, so the whole tree is what counts. Resolves undefined where /proc is
+ *  not available.
+ *
+ */
+import fs from 'fs';
+
+const PAGE_SIZE = 4096; // bytes
+const CLOCK_TICKS = 100; // per second
+
+// Resolves a Map of pid => {rss (bytes), cpu (seconds), processes} for each of the given pids
+export async function processUsage(pids) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir('/proc');
+    } catch (e) {
+        return undefined;
+    }
+    const table = new Map(); // pid => {ppid, rss, cpu}
+    await Promise.all(entries.filter(name => /^\d+$/.test(name)).map(async (name) => {
+        try {
+            const stat = await fs.promises.readFile(`/proc/${name}/stat`, 'utf8');
+            // Fields after the command name, which is in parentheses and may contain spaces
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            table.set(Number(name), {
+                ppid: Number(fields[1]),
+                cpu: (Number(fields[11]) + Number(fields[12]) + Number(fields[13]) + Number(fields[14])) / CLOCK_TICKS,
+                rss: Number(fields[21]) * PAGE_SIZE
+            });
+        } catch (e) {
+            // The process ended while the table was read
+        }
+    }));
+    const children = new Map();
+    for (const [pid, entry] of table) {
+        if (!children.has(entry.ppid)) children.set(entry.ppid, []);
+        children.get(entry.ppid).push(pid);
+    }
+    const usage = new Map();
+    for (const root of pids) {
+        if (!table.has(root)) continue;
+        const total = {rss: 0, cpu: 0, processes: 0};
+        const queue = [root];
+        while (queue.length) {
+            const pid = queue.pop();
+            total.rss += table.get(pid).rss;
+            total.cpu += table.get(pid).cpu;
+            total.processes++;
+            queue.push(...(children.get(pid) || []));
+        }
+        usage.set(root, total);
+    }
+    return usage;
+}
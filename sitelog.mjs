@@ -0,0 +1,113 @@
+/**
+ *  SiteLog
+ *
+ *  Output and access log of one MultiSite site. Lines are appended to files in
+ *  <dir>/<site>/ (output.log for stdout and stderr, access.log for proxied
+ *  requests as JSON lines), which are rotated by size and at midnight, and the
+ *  most recent lines are kept in memory for tailing. The log belongs to the
+ *  site name, so it carries on across restarts.
+ *
+ */
+import fs from 'fs';
+import {join} from 'path';
+
+const MAX_SIZE = 10 * 1024 * 1024; // bytes before a log file is rotated
+const MAX_FILES = 5; // rotated files kept per log
+const RING_LINES = 1000; // recent lines kept in memory
+const FILES = {out: 'output.log', err: 'output.log', access: 'access.log'};
+const NAME = /^[a-z0-9_-]+(\.[a-z0-9_-]+)*(#\d+)?$/i; // hostname, with #n for a replica
+
+export class SiteLog {
+    constructor(name, options) {
+        // The name becomes a directory, so it must not be able to reach outside options.dir
+        if (!NAME.test(name)) throw new Error(`${name} is not a site name`);
+        this.name = name;
+        this.options = options || {};
+        this.dir = this.options.dir ? join(this.options.dir, name.replace('#', '_')) : undefined;
+        this.ring = [];
+        this.partial = {out: '', err: ''};
+        this.files = {}; // file name => {stream, size, day}
+    }
+    // Process output arrives in chunks; only whole lines are logged
+    write(stream, data) {
+        const lines = (this.partial[stream] + data.toString()).split('\n');
+        this.partial[stream] = lines.pop();
+        for (const line of lines) this.add(stream, line);
+    }
+    flush() {
+        for (const stream of Object.keys(this.partial)) {
+            if (this.partial[stream]) this.add(stream, this.partial[stream]);
+            this.partial[stream] = '';
+        }
+    }
+    access(entry) {
+        this.remember({time: entry.time, stream: 'access', request: entry});
+        this.append(FILES.access, JSON.stringify(entry) + '\n');
+    }
+    add(stream, line) {
+        const time = new Date().toISOString();
+        this.remember({time, stream, line});
+        this.append(FILES[stream], `${time} ${stream} ${line}\n`);
+    }
+    remember(entry) {
+        this.ring.push(entry);
+        if (this.ring.length > (this.options.lines || RING_LINES)) this.ring.shift();
+    }
+    // Most recent lines, optionally of one stream ('out', 'err' or 'access')
+    tail(count = 100, stream) {
+        const lines = stream ? this.ring.filter(entry => entry.stream === stream) : this.ring;
+        return lines.slice(-count);
+    }
+    append(file, text) {
+        if (!this.dir) return;
+        const today = new Date().toDateString();
+        let current = this.files[file];
+        if (current && (current.size + Buffer.byteLength(text) > (this.options.maxSize || MAX_SIZE)
+            || (this.options.rotate !== false && current.day !== today))) {
+            current.stream.end();
+            this.rotate(file);
+            current = undefined;
+        }
+        if (!current) {
+            fs.mkdirSync(this.dir, {recursive: true});
+            const path = join(this.dir, file);
+            const stat = fs.existsSync(path) ? fs.statSync(path) : undefined;
+            current = this.files[file] = {
+                stream: fs.createWriteStream(path, {flags: 'a'}),
+                size: stat?.size || 0,
+                day: (stat ? stat.mtime : new Date()).toDateString()
+            };
+            current.stream.on('error', (error) => console.error(`${this.name}: cannot write ${path}: ${error.message}`));
+            // A file left from another day is rotated before anything is added to it
+            if (current.size && this.options.rotate !== false && current.day !== today) return this.append(file, text);
+        }
+        current.stream.write(text);
+        current.size += Buffer.byteLength(text);
+    }
+    // output.log becomes output.log.1, output.log.1 becomes output.log.2 and so on
+    rotate(file) {
+        const path = join(this.dir, file);
+        const keep = this.options.maxFiles || MAX_FILES;
+        if (fs.existsSync(`${path}.${keep}`)) fs.unlinkSync(`${path}.${keep}`);
+        for (let n = keep - 1; n >= 1; n--) {
+            if (fs.existsSync(`${path}.${n}`)) fs.renameSync(`${path}.${n}`, `${path}.${n + 1}`);
+        }
+        if (fs.existsSync(path)) fs.renameSync(path, `${path}.1`);
+        delete this.files[file];
+    }
+    // Log files on disk, current and rotated, for download
+    list() {
+        if (!this.dir || !fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(file => /^(output|access)\.log(\.\d+)?$/.test(file))
+            .map(file => ({file, size: fs.statSync(join(this.dir, file)).size}));
+    }
+    path(file) {
+        return this.list().some(entry => entry.file === file) ? join(this.dir, file) : undefined;
+    }
+    close() {
+        this.flush();
+        for (const current of Object.values(this.files)) current.stream.end();
+        this.files = {};
+    }
+}